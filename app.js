@@ -5,23 +5,50 @@
 class AudioVisualizerApp {
     constructor() {
         this.visualizers = {};
+        this.visualizerControls = {}; // Toolbars of the visualizers that have one, by key
         this.currentVisualizer = null;
         this.audioInitialized = false;
-        this.sharedAudioContext = null;
-        this.sharedAnalyser = null;
-        this.audioSource = 'microphone'; // 'microphone' or 'file'
-        this.audioElement = null;
+        this.audioEngine = new AudioEngine();
+        this.transport = new TransportControls(this.audioEngine);
+        this.playlist = new Playlist();
+        this.exportDialog = null; // Created once the visualizers exist
+        this.recorder = new LiveRecorder(this.audioEngine);
+        this.recordControls = new RecordControls(this.recorder);
+        this.inputSettings = new InputSettings();
+        this.demoSettings = new DemoSettings();
+        this.midiController = new MidiController();
+        this.midiPanel = new MidiPanel(this.midiController);
+        this.analysisPanel = new AnalysisPanel();
+        this.pluginPanel = new PluginPanel();
+        this.transition = new VisualizerTransition(document.getElementById('transitionCanvas'));
+        this.director = new AutoDirector();
+        this.directorPanel = new DirectorPanel(this.director);
+        this.audioSource = 'microphone'; // 'microphone', 'display', 'demo' or 'file'
         this.currentAudioFile = null;
         
         // DOM elements
         this.startButton = document.getElementById('startButton');
-        this.toolButtons = document.querySelectorAll('.tool-btn');
+        this.toolSelector = document.getElementById('toolSelector');
+        this.visualizerContainer = document.getElementById('visualizerContainer');
         this.sourceButtons = document.querySelectorAll('.source-btn');
         this.fileInput = document.getElementById('fileInput');
         this.fileUploadArea = document.getElementById('fileUploadArea');
         this.sensitivitySlider = document.getElementById('sensitivity');
         this.sensitivityValue = document.getElementById('sensitivityValue');
+        this.sensitivityLabel = document.getElementById('sensitivityLabel');
+        this.normalizeModeSelect = document.getElementById('normalizeMode');
+        this.normalizeWindowSelect = document.getElementById('normalizeWindow');
+        this.normalizeGain = document.getElementById('normalizeGain');
         this.statusDisplay = document.getElementById('statusDisplay');
+        this.tempoDisplay = document.getElementById('tempoDisplay');
+        this.tempoSyncToggle = document.getElementById('tempoSync');
+        this.stereoModeToggle = document.getElementById('stereoMode');
+        this.stereoDisplay = document.getElementById('stereoDisplay');
+        this.colorModeSelect = document.getElementById('colorMode');
+        this.transitionTypeSelect = document.getElementById('transitionType');
+        this.transitionDurationSelect = document.getElementById('transitionDuration');
+        this.exportButton = document.getElementById('exportButton');
+        this.tempoDisplayTimer = null;
         
         this.init();
     }
@@ -32,6 +59,7 @@ class AudioVisualizerApp {
     init() {
         this.setupEventListeners();
         this.initializeVisualizers();
+        this.setupMidi();
         this.updateStatus('Ready to start - click "Start Audio" button');
     }
 
@@ -42,13 +70,13 @@ class AudioVisualizerApp {
         // Start button
         this.startButton.addEventListener('click', () => this.startAudio());
         
-        // Tool selection buttons
-        this.toolButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const tool = e.target.dataset.tool;
-                this.switchVisualizer(tool);
-            });
-        });
+        // Third-party visualizers loaded at runtime
+        this.pluginPanel.onLoad = (definitions) => this.addPluginVisualizers(definitions);
+        
+        // Auto-director for unattended playback
+        this.directorPanel.onToggle = (enabled) => this.setAutoDirector(enabled);
+        this.director.onSwitch = (key, section) => this.directVisualizer(key, section);
+        this.director.onFractalMode = (section) => this.directFractalMode(section);
         
         // Audio source selection buttons
         this.sourceButtons.forEach(button => {
@@ -62,6 +90,45 @@ class AudioVisualizerApp {
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         this.fileUploadArea.addEventListener('click', () => this.fileInput.click());
         
+        // Playlist selection plays the track; repeat-one maps to the loop toggle
+        this.playlist.onTrackChange = (track) => this.playTrack(track);
+        this.playlist.onRepeatChange = (mode) => this.transport.setLoop(mode === 'one');
+        this.transport.onLoopChange = (loop) => this.playlist.setRepeatOne(loop);
+        
+        // Microphone device, processing, gain and noise gate
+        this.inputSettings.onMicrophoneChange = () => this.restartMicrophone();
+        this.inputSettings.onGainChange = (db) => this.audioEngine.setInputGain(db);
+        this.inputSettings.onGateChange = (threshold) => this.audioEngine.setNoiseGateThreshold(threshold);
+        this.audioEngine.setInputGain(this.inputSettings.getGain());
+        this.audioEngine.setNoiseGateThreshold(this.inputSettings.getGateThreshold());
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.handleDeviceChange().catch(error => {
+                    console.error('Device change failed:', error);
+                    this.updateStatus(`Failed to update input devices: ${error.message}`, 'error');
+                });
+            });
+        }
+        this.inputSettings.refreshDevices().catch(error => {
+            console.error('Device listing failed:', error);
+            this.updateStatus(`Failed to list input devices: ${error.message}`, 'error');
+        });
+        
+        // Demo pattern, tempo and seed changes restart the demo music
+        this.demoSettings.onChange = (options) => this.restartDemo(options);
+        
+        // Live recording of whichever visualizer is active
+        this.recordControls.getFrameSize = () => {
+            const canvas = this.currentVisualizer.getCanvas();
+            return { width: canvas.width, height: canvas.height };
+        };
+        this.recordControls.onStatus = (message, type) => this.updateStatus(message, type);
+        this.transition.onFrame = (canvas) => this.recorder.drawFrame(canvas);
+        
+        // Offline video export of the current file
+        this.exportButton.addEventListener('click', () => this.openExportDialog());
+        
         // Drag and drop for file upload
         this.fileUploadArea.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -77,11 +144,21 @@ class AudioVisualizerApp {
             this.fileUploadArea.classList.remove('dragover');
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.fileInput.files = files;
                 this.handleFileSelect({ target: { files } });
             }
         });
         
+        // Files can also be dropped straight onto the playlist
+        this.playlist.panel.addEventListener('dragover', (e) => {
+            if (this.playlist.dragIndex === null) e.preventDefault();
+        });
+        
+        this.playlist.panel.addEventListener('drop', (e) => {
+            if (this.playlist.dragIndex !== null || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.handleFileSelect({ target: { files: e.dataTransfer.files } });
+        });
+        
         // Sensitivity slider
         this.sensitivitySlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
@@ -89,6 +166,40 @@ class AudioVisualizerApp {
             this.updateSensitivity(value);
         });
         
+        // Manual sensitivity or automatic loudness normalization
+        this.normalizeModeSelect.addEventListener('change', (e) => {
+            this.setNormalization(e.target.value);
+        });
+        
+        this.normalizeWindowSelect.addEventListener('change', (e) => {
+            this.audioEngine.setNormalizationWindow(parseInt(e.target.value));
+        });
+        
+        // Color mode selection
+        this.colorModeSelect.addEventListener('change', (e) => {
+            this.setColorMode(e.target.value);
+        });
+        
+        // Transition used when switching visualizers
+        this.transitionTypeSelect.addEventListener('change', (e) => {
+            this.transition.setType(e.target.value);
+            this.transitionDurationSelect.title = e.target.value === 'beatCut' ? 'Longest wait for a beat' : 'Transition duration';
+        });
+        
+        this.transitionDurationSelect.addEventListener('change', (e) => {
+            this.transition.setDuration(parseFloat(e.target.value));
+        });
+        
+        // Tempo sync toggle
+        this.tempoSyncToggle.addEventListener('change', (e) => {
+            this.setTempoSync(e.target.checked);
+        });
+        
+        // Stereo mode toggle
+        this.stereoModeToggle.addEventListener('change', (e) => {
+            this.setStereoMode(e.target.checked);
+        });
+        
         // Error handling
         window.addEventListener('error', (e) => {
             console.error('Application error:', e);
@@ -97,31 +208,72 @@ class AudioVisualizerApp {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !this.audioInitialized) {
+            if (this.exportDialog && this.exportDialog.isOpen()) {
+                if (e.code === 'Escape') this.exportDialog.close();
+                return;
+            }
+            
+            if (e.code === 'Escape' && this.midiController.learnTarget) {
+                this.midiController.cancelLearn();
+            } else if (e.code === 'Space' && !this.audioInitialized) {
                 e.preventDefault();
                 this.startAudio();
-            } else if (e.code === 'Digit1' && this.audioInitialized) {
-                this.switchVisualizer('rose');
-            } else if (e.code === 'Digit2' && this.audioInitialized) {
-                this.switchVisualizer('sphere');
-            } else if (e.code === 'Digit3' && this.audioInitialized) {
-                this.switchVisualizer('fractal');
+            } else if (this.audioInitialized && this.transport.handleKeydown(e)) {
+                return;
+            } else if (this.audioInitialized && this.playlist.handleKeydown(e)) {
+                return;
+            } else if (e.target && e.target.closest && e.target.closest('input, select, textarea')) {
+                // Leave keys to focused form fields (e.g. an "r" typed into the plugin URL)
+                return;
+            } else if (e.code === 'KeyR' && this.audioInitialized) {
+                this.recordControls.toggle();
+            } else if (this.audioInitialized && this.handleVisualizerShortcut(e)) {
+                return;
             }
         });
     }
 
+    /**
+     * Switch to the visualizer registered for a key, returns whether the key was handled
+     */
+    handleVisualizerShortcut(e) {
+        // Leave keys to focused text fields (e.g. the plugin URL)
+        if (e.target && e.target.closest && e.target.closest('input, textarea')) return false;
+        
+        const definition = VisualizerRegistry.findByShortcut(e.code);
+        if (!definition || !this.visualizers[definition.id]) return false;
+        
+        this.switchVisualizer(definition.id);
+        return true;
+    }
+
     /**
      * Initialize visualizers
      */
     initializeVisualizers() {
         try {
-            this.visualizers.rose = new RoseVisualizer();
-            this.visualizers.sphere = new SphereVisualizer();
-            this.visualizers.fractal = new FractalVisualizer();
+            this.exportDialog = new ExportDialog(this.visualizers, this.audioEngine);
+            VisualizerRegistry.getAll().forEach(definition => this.addVisualizer(definition));
             
-            // Set initial visualizer
-            this.currentVisualizer = this.visualizers.rose;
+            // Set initial visualizer (the first registered one)
+            const initialKey = Object.keys(this.visualizers)[0];
+            this.currentVisualizer = this.visualizers[initialKey];
+            this.currentVisualizer.container.classList.add('active');
+            if (this.visualizerControls[initialKey]) {
+                this.visualizerControls[initialKey].setVisible(true);
+            }
+            this.updateToolButtons(initialKey);
+            this.analysisPanel.setVisualizer(this.currentVisualizer, this.getVisualizerName(initialKey));
+            
+            // Toolbars and the analysis panel can both edit analyser settings (e.g. the spectrogram's dB range)
+            this.analysisPanel.onChange = (visualizer) => {
+                const controls = this.visualizerControls[this.getVisualizerKey(visualizer)];
+                if (controls) {
+                    controls.update();
+                }
+            };
             
+            this.directorPanel.render(Object.keys(this.visualizers));
             this.updateStatus('Visualizers loaded - select audio source and start');
         } catch (error) {
             console.error('Error initializing visualizers:', error);
@@ -130,14 +282,146 @@ class AudioVisualizerApp {
     }
 
     /**
-     * Switch audio source between microphone and file
+     * Create a registered visualizer with its container, tool button, export option and toolbar
      */
-    switchAudioSource(source) {
-        if (this.audioInitialized) {
-            this.updateStatus('Stop audio first to change source', 'error');
-            return;
+    addVisualizer(definition) {
+        const container = VisualizerRegistry.createContainer(definition);
+        const existing = this.visualizerContainer.querySelectorAll('.visualizer');
+        const anchor = existing.length > 0 ? existing[existing.length - 1].nextSibling : this.visualizerContainer.firstChild;
+        this.visualizerContainer.insertBefore(container, anchor);
+        
+        let visualizer;
+        try {
+            visualizer = new definition.visualizerClass({ container });
+        } catch (error) {
+            container.remove();
+            throw error;
+        }
+        
+        // Read frames from the shared audio engine and feed the recorder while active
+        visualizer.setAudioEngine(this.audioEngine);
+        visualizer.setColorMode(this.colorModeSelect.value);
+        visualizer.setTempoSync(this.tempoSyncToggle.checked);
+        visualizer.setStereoMode(this.stereoModeToggle.checked);
+        visualizer.on('render', () => {
+            if (visualizer === this.currentVisualizer) {
+                this.recorder.drawFrame(visualizer.getCanvas());
+            }
+        });
+        this.visualizers[definition.id] = visualizer;
+        
+        const button = document.createElement('button');
+        const shortcut = VisualizerRegistry.getShortcutLabel(definition.shortcut);
+        button.className = 'tool-btn';
+        button.dataset.tool = definition.id;
+        button.textContent = `${definition.icon} ${definition.label}`.trim();
+        button.title = shortcut ? `${definition.name} (${shortcut})` : definition.name;
+        button.addEventListener('click', () => this.switchVisualizer(definition.id));
+        this.toolSelector.appendChild(button);
+        
+        this.exportDialog.addVisualizer(definition.id, `${definition.icon} ${definition.label}`.trim());
+        
+        if (definition.createControls) {
+            const controls = definition.createControls(visualizer);
+            controls.setVisible(false);
+            if ('onChange' in controls) {
+                controls.onChange = () => this.analysisPanel.update();
+            }
+            this.visualizerControls[definition.id] = controls;
         }
         
+        return visualizer;
+    }
+
+    /**
+     * Add visualizers registered by a plugin script; ones that fail to start are unregistered again
+     */
+    addPluginVisualizers(definitions) {
+        const failed = [];
+        
+        definitions.forEach(definition => {
+            try {
+                this.addVisualizer(definition);
+            } catch (error) {
+                console.error(`Error creating visualizer ${definition.id}:`, error);
+                VisualizerRegistry.unregister(definition.id);
+                failed.push(definition.name);
+            }
+        });
+        
+        this.directorPanel.render(Object.keys(this.visualizers));
+        
+        if (failed.length > 0) {
+            throw new Error(`Could not start ${failed.join(', ')}`);
+        }
+        this.updateStatus(`Added ${definitions.map(definition => definition.name).join(', ')}`);
+    }
+
+    /**
+     * Register MIDI-learnable targets and reconnect saved bindings
+     * Faders pick values by position, pads step through choices
+     */
+    setupMidi() {
+        const midi = this.midiController;
+        
+        midi.registerTarget('sensitivity', 'Sensitivity', (value) => {
+            const sensitivity = Math.round(10 + value * 190); // Slider range 10-200
+            this.sensitivitySlider.value = sensitivity;
+            this.sensitivityValue.textContent = sensitivity;
+            this.updateSensitivity(sensitivity);
+        });
+        
+        midi.registerTarget('visualizer', 'Visualizer', (value, message) => {
+            const visualizerKeys = Object.keys(this.visualizers); // Includes plugins loaded later
+            const current = visualizerKeys.indexOf(this.getCurrentVisualizerKey());
+            const index = message.type === 'cc' ? MidiController.valueToIndex(value, visualizerKeys.length) : (current + 1) % visualizerKeys.length;
+            this.switchVisualizer(visualizerKeys[index]);
+        });
+        
+        midi.registerTarget('fractalMode', 'Fractal Mode', (value, message) => {
+            const modes = FractalVisualizer.MODES;
+            const fractal = this.visualizers.fractal;
+            const index = message.type === 'cc' ? MidiController.valueToIndex(value, modes.length) : (modes.indexOf(fractal.mode) + 1) % modes.length;
+            fractal.setMode(modes[index]);
+        });
+        
+        midi.registerTarget('rosePetals', 'Rose Petals', (value) => {
+            this.visualizers.rose.setPetalBase(3 + value * 21);
+        });
+        
+        midi.registerTarget('colorShift', 'Color Shift', (value) => {
+            Object.values(this.visualizers).forEach(visualizer => visualizer.setHueShift(value * 360));
+        });
+        
+        midi.registerTarget('beat', 'Beat', (value) => this.triggerVisualEvent('beat', value), 'trigger');
+        midi.registerTarget('onset', 'Onset', (value) => this.triggerVisualEvent('onset', value), 'trigger');
+        
+        this.midiPanel.render();
+        
+        // Saved bindings work without opening the panel
+        if (midi.hasMappings() && midi.isSupported()) {
+            this.midiPanel.connect();
+        }
+    }
+
+    /**
+     * Fire a beat or onset event on the active visualizer (MIDI note triggers)
+     */
+    triggerVisualEvent(type, strength) {
+        if (!this.currentVisualizer) return;
+        
+        const time = this.audioEngine.audioContext ? this.audioEngine.audioContext.currentTime : 0;
+        this.currentVisualizer.emit(type, { type, band: 'low', strength, flux: 0, time });
+    }
+
+    /**
+     * Switch audio source between microphone, tab/system audio, demo and file
+     * While audio is running the engine swaps sources in place
+     */
+    async switchAudioSource(source) {
+        // Selecting tab/system audio again shares another tab (or resumes after sharing ended)
+        if (source === this.audioSource && source !== 'display') return;
+        
         this.audioSource = source;
         
         // Update UI
@@ -145,38 +429,127 @@ class AudioVisualizerApp {
             btn.classList.toggle('active', btn.dataset.source === source);
         });
         
-        // Show/hide file upload area
+        // Show/hide file upload area and source settings
+        this.inputSettings.setVisible(source === 'microphone');
+        this.demoSettings.setVisible(source === 'demo');
         if (source === 'file') {
             this.fileUploadArea.style.display = 'block';
             this.updateStatus('Select an audio file to visualize');
         } else {
             this.fileUploadArea.style.display = 'none';
-            this.updateStatus('Ready to start with microphone input');
+            this.updateStatus(this.getReadyMessage(source));
+        }
+        
+        if (this.audioInitialized && (source !== 'file' || this.currentAudioFile)) {
+            await this.connectAudioSource();
+        }
+    }
+
+    /**
+     * Connect the selected source to the audio engine
+     */
+    async connectAudioSource() {
+        try {
+            await this.initAudioSource();
+            this.updateStatus(`Audio source: ${this.getSourceLabel()}`);
+        } catch (error) {
+            console.error('Error switching audio source:', error);
+            this.updateStatus(`Failed to switch source: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Human-readable description of the active source
+     */
+    getSourceLabel() {
+        switch (this.audioEngine.sourceType) {
+            case 'file':
+                return `File: ${this.currentAudioFile.name}`;
+            case 'microphone':
+                return 'Microphone';
+            case 'display':
+                return 'Tab/system audio';
+            case 'demo':
+                return `Demo: ${this.audioEngine.demoSequencer.pattern.label} at ${this.audioEngine.demoSequencer.tempo} BPM`;
+            default:
+                return 'No source';
+        }
+    }
+
+    /**
+     * Status hint for a source that has not started yet
+     */
+    getReadyMessage(source) {
+        switch (source) {
+            case 'display':
+                return 'Ready to share a tab or system audio - choose what to share and enable its audio';
+            case 'demo':
+                return 'Ready to start with demo music';
+            default:
+                return 'Ready to start with microphone input';
         }
     }
 
     /**
-     * Handle file selection
+     * Handle file selection (adds every supported file to the playlist)
      */
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
         
-        // Validate file type
+        // Validate file types
         const validTypes = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/webm'];
-        if (!validTypes.includes(file.type)) {
+        const validFiles = files.filter(file => validTypes.includes(file.type));
+        if (validFiles.length === 0) {
             this.updateStatus('Unsupported file format. Please use MP3, WAV, OGG, or M4A.', 'error');
             return;
         }
         
-        this.currentAudioFile = file;
-        this.updateStatus(`File selected: ${file.name} - click "Start Audio" to begin`);
+        const hadTrack = this.playlist.getCurrentTrack() !== null;
+        this.playlist.addFiles(validFiles);
+        if (this.playlist.tracks.length > 1) {
+            this.playlist.togglePanel(true);
+        }
         
         // Update file upload area text
+        const count = this.playlist.tracks.length;
         this.fileUploadArea.innerHTML = `
-            <p>✓ ${file.name}</p>
-            <p style="font-size: 0.8em; opacity: 0.7;">Click "Start Audio" to visualize</p>
+            <p>✓ ${count === 1 ? validFiles[0].name : `${count} tracks in playlist`}</p>
+            <p style="font-size: 0.8em; opacity: 0.7;">Click or drop to add more files</p>
         `;
+        
+        const skipped = files.length - validFiles.length;
+        if (skipped > 0) {
+            this.updateStatus(`Skipped ${skipped} unsupported file${skipped === 1 ? '' : 's'}`, 'error');
+        }
+        
+        // The first file added becomes the current track
+        if (!hadTrack) {
+            this.playlist.select(this.playlist.tracks.length - validFiles.length);
+        } else if (skipped === 0) {
+            this.updateStatus(`Added ${validFiles.length} file${validFiles.length === 1 ? '' : 's'} to the playlist`);
+        }
+    }
+
+    /**
+     * Make a playlist track the current file
+     * Swaps the playing file without restarting when file audio is active
+     */
+    playTrack(track) {
+        // Replaying the same file (repeat-one or a single-track playlist) just rewinds
+        if (track.file === this.currentAudioFile && this.audioEngine.sourceType === 'file') {
+            this.transport.seek(0);
+            this.audioEngine.audioElement.play().catch(error => console.error('Playback failed:', error));
+            return;
+        }
+        
+        this.currentAudioFile = track.file;
+        
+        if (this.audioInitialized && this.audioSource === 'file') {
+            this.connectAudioSource();
+        } else {
+            this.updateStatus(`File selected: ${track.file.name} - click "Start Audio" to begin`);
+        }
     }
 
     /**
@@ -189,25 +562,9 @@ class AudioVisualizerApp {
             this.updateStatus('Initializing audio...', 'loading');
             this.startButton.disabled = true;
             
-            if (this.audioSource === 'file') {
-                await this.initFileAudio();
-            } else {
-                await this.initMicrophoneAudio();
-            }
-            
-            // Share audio context and analyser with other visualizers
-            this.sharedAudioContext = this.currentVisualizer.audioContext;
-            this.sharedAnalyser = this.currentVisualizer.analyser;
-            
-            // Initialize audio for other visualizers
-            for (const [key, visualizer] of Object.entries(this.visualizers)) {
-                if (visualizer !== this.currentVisualizer) {
-                    visualizer.audioContext = this.sharedAudioContext;
-                    visualizer.analyser = this.sharedAnalyser;
-                    visualizer.dataArray = this.currentVisualizer.dataArray;
-                    visualizer.frequencyData = this.currentVisualizer.frequencyData;
-                }
-            }
+            await this.audioEngine.init();
+            this.analysisPanel.setSampleRate(this.audioEngine.audioContext.sampleRate);
+            await this.initAudioSource();
             
             this.audioInitialized = true;
             this.startButton.textContent = '🎵 Audio Active';
@@ -216,11 +573,16 @@ class AudioVisualizerApp {
             // Start the current visualizer
             this.currentVisualizer.start();
             
-            const sourceText = this.audioSource === 'file' ? 
-                `File: ${this.currentAudioFile.name}` : 
-                (this.currentVisualizer.usingMicrophone ? 'Microphone' : 'Demo mode');
+            // Refresh the tempo readout and let the auto-director follow the music
+            this.tempoDisplayTimer = setInterval(() => {
+                this.director.update(this.audioEngine.frame, this.getCurrentVisualizerKey(), Object.keys(this.visualizers));
+                this.updateTempoDisplay();
+                this.updateStereoDisplay();
+                this.updateNormalizationDisplay();
+                this.inputSettings.updateMeter(this.audioEngine.inputLevel);
+            }, 100);
             
-            this.updateStatus(`Audio visualization active (${sourceText}) - use number keys 1-3 to switch visualizers`);
+            this.updateStatus(`Audio visualization active (${this.getSourceLabel()}) - use the number keys to switch visualizers`);
             
         } catch (error) {
             console.error('Error starting audio:', error);
@@ -230,54 +592,142 @@ class AudioVisualizerApp {
     }
 
     /**
-     * Initialize microphone audio
+     * Initialize the selected source
      */
-    async initMicrophoneAudio() {
-        await this.currentVisualizer.initAudio();
+    async initAudioSource() {
+        if (this.audioSource === 'file') {
+            await this.initFileAudio();
+        } else if (this.audioSource === 'display') {
+            await this.initDisplayAudio();
+        } else if (this.audioSource === 'demo') {
+            this.initDemoAudio();
+        } else {
+            await this.initMicrophoneAudio();
+        }
     }
 
     /**
-     * Initialize file audio
+     * Initialize microphone audio (falls back to demo mode)
      */
-    async initFileAudio() {
-        if (!this.currentAudioFile) {
-            throw new Error('No audio file selected');
+    async initMicrophoneAudio() {
+        try {
+            await this.audioEngine.useMicrophone(this.inputSettings.getOptions());
+            
+            // Device labels become available once permission is granted
+            await this.inputSettings.refreshDevices();
+        } catch (micError) {
+            console.warn('Microphone access denied, using demo mode:', micError.message);
+            this.audioEngine.useDemo(this.demoSettings.getOptions());
+            this.demoSettings.setVisible(true);
         }
+        this.transport.detach();
+        this.playlist.togglePanel(false);
+    }
+
+    /**
+     * Capture audio shared from a tab or the system
+     */
+    async initDisplayAudio() {
+        await this.audioEngine.useDisplayAudio();
+        this.transport.detach();
+        this.playlist.togglePanel(false);
         
-        // Create audio context
-        this.currentVisualizer.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        this.currentVisualizer.analyser = this.currentVisualizer.audioContext.createAnalyser();
-        this.currentVisualizer.analyser.fftSize = this.currentVisualizer.fftSize;
-        this.currentVisualizer.analyser.smoothingTimeConstant = this.currentVisualizer.smoothingTimeConstant;
+        // Sharing can be stopped from the browser's own "Stop sharing" bar
+        const stream = this.audioEngine.mediaStream;
+        stream.getAudioTracks().forEach(track => {
+            track.addEventListener('ended', () => this.handleDisplayAudioEnded(stream));
+        });
+    }
+
+    /**
+     * Release the capture once sharing ends
+     */
+    handleDisplayAudioEnded(stream) {
+        if (this.audioEngine.mediaStream !== stream) return;
         
-        // Create audio element
-        this.audioElement = new Audio();
-        this.audioElement.controls = false;
-        this.audioElement.loop = true;
+        this.audioEngine.disconnectSource();
+        this.updateStatus('Tab/system audio sharing ended - click 🖥️ Tab/System Audio to share again or pick another source');
+    }
+
+    /**
+     * Initialize procedural demo music
+     */
+    initDemoAudio() {
+        this.audioEngine.useDemo(this.demoSettings.getOptions());
+        this.transport.detach();
+        this.playlist.togglePanel(false);
+    }
+
+    /**
+     * Restart the demo music with new settings
+     */
+    restartDemo(options) {
+        if (!this.audioInitialized || this.audioEngine.sourceType !== 'demo') return;
         
-        // Load file
-        const fileURL = URL.createObjectURL(this.currentAudioFile);
-        this.audioElement.src = fileURL;
+        this.audioEngine.useDemo(options);
+        this.updateStatus(`Audio source: ${this.getSourceLabel()}`);
+    }
+
+    /**
+     * Reopen the microphone after the device or processing options changed
+     */
+    async restartMicrophone() {
+        if (this.audioInitialized && this.audioSource === 'microphone') {
+            await this.connectAudioSource();
+        }
+    }
+
+    /**
+     * Follow input devices being plugged in or removed
+     */
+    async handleDeviceChange() {
+        const selectionChanged = await this.inputSettings.refreshDevices();
         
-        // Wait for audio to be ready
-        await new Promise((resolve, reject) => {
-            this.audioElement.addEventListener('canplaythrough', resolve);
-            this.audioElement.addEventListener('error', reject);
-            this.audioElement.load();
+        // Reconnect when the selected device disappeared or the preferred one came back
+        if (selectionChanged || this.audioEngine.isMicrophoneEnded()) {
+            await this.restartMicrophone();
+        }
+    }
+
+    /**
+     * Initialize file audio and bind the transport bar
+     */
+    async initFileAudio() {
+        await this.audioEngine.useFile(this.currentAudioFile, {
+            loop: this.playlist.repeatMode === 'one'
         });
         
-        // Connect audio to analyser
-        const source = this.currentVisualizer.audioContext.createMediaElementSource(this.audioElement);
-        source.connect(this.currentVisualizer.analyser);
-        source.connect(this.currentVisualizer.audioContext.destination);
+        const audioElement = this.audioEngine.audioElement;
+        this.transport.attach(audioElement);
         
-        // Start playback
-        await this.audioElement.play();
+        // Advance through the playlist when a track finishes
+        audioElement.addEventListener('ended', () => this.playlist.handleTrackEnded());
+    }
+
+    /**
+     * Open the export dialog for the current file and visualizer
+     */
+    openExportDialog() {
+        if (!this.currentAudioFile) {
+            this.updateStatus('Select an audio file to export', 'error');
+            return;
+        }
         
-        // Set up data arrays
-        this.currentVisualizer.dataArray = new Uint8Array(this.currentVisualizer.analyser.frequencyBinCount);
-        this.currentVisualizer.frequencyData = new Uint8Array(this.currentVisualizer.analyser.frequencyBinCount);
-        this.currentVisualizer.usingMicrophone = false;
+        this.exportDialog.open(this.currentAudioFile, this.getCurrentVisualizerKey());
+    }
+
+    /**
+     * Key of the active visualizer in this.visualizers
+     */
+    getCurrentVisualizerKey() {
+        return this.getVisualizerKey(this.currentVisualizer);
+    }
+
+    /**
+     * Key of a visualizer instance in this.visualizers
+     */
+    getVisualizerKey(visualizer) {
+        return Object.keys(this.visualizers).find(key => this.visualizers[key] === visualizer);
     }
 
     /**
@@ -299,17 +749,18 @@ class AudioVisualizerApp {
         }
         
         try {
-            // Stop current visualizer
-            if (this.currentVisualizer) {
-                this.currentVisualizer.stop();
-            }
-            
-            // Switch to new visualizer
+            // Hand over to the new visualizer with the selected transition
+            const previous = this.currentVisualizer;
             this.currentVisualizer = this.visualizers[visualizerKey];
-            this.currentVisualizer.start();
+            this.transition.start(previous, this.currentVisualizer);
+            this.director.notifySwitch();
             
             // Update UI
             this.updateToolButtons(visualizerKey);
+            this.analysisPanel.setVisualizer(this.currentVisualizer, this.getVisualizerName(visualizerKey));
+            Object.entries(this.visualizerControls).forEach(([key, controls]) => {
+                controls.setVisible(key === visualizerKey);
+            });
             this.updateStatus(`Switched to ${this.getVisualizerName(visualizerKey)}`);
             
         } catch (error) {
@@ -318,6 +769,66 @@ class AudioVisualizerApp {
         }
     }
 
+    /**
+     * Let the auto-director switch visualizers on section changes; it takes over the Fractal's mode cycling
+     */
+    setAutoDirector(enabled) {
+        this.director.setEnabled(enabled);
+        this.directorPanel.setEnabled(enabled);
+        if (this.visualizers.fractal) {
+            this.visualizers.fractal.setAutoCycle(!enabled);
+        }
+        this.updateStatus(enabled ? 'Auto-director enabled - visualizers follow the song sections' : 'Auto-director disabled');
+    }
+
+    /**
+     * Switch visualizer for a section change found by the auto-director
+     */
+    directVisualizer(key, section) {
+        this.switchVisualizer(key);
+        
+        const action = `switched to ${this.getVisualizerName(key)}`;
+        this.directorPanel.showSection(section, action);
+        this.updateStatus(`${AutoDirector.SECTION_LABELS[section.type]} - ${action}`);
+    }
+
+    /**
+     * Change the Fractal's mode for a section change found by the auto-director
+     */
+    directFractalMode(section) {
+        const fractal = this.visualizers.fractal;
+        fractal.setMode(this.director.pickFractalMode(fractal.mode));
+        
+        const action = `Fractal mode ${fractal.mode}`;
+        this.directorPanel.showSection(section, action);
+        this.updateStatus(`${AutoDirector.SECTION_LABELS[section.type]} - ${action}`);
+    }
+
+    /**
+     * 'auto' normalizes loudness and turns the sensitivity slider into a trim, 'manual' uses the slider alone
+     */
+    setNormalization(mode) {
+        const auto = mode === 'auto';
+        this.audioEngine.setAutoNormalize(auto);
+        this.normalizeModeSelect.value = auto ? 'auto' : 'manual';
+        this.normalizeWindowSelect.style.display = auto ? '' : 'none';
+        this.sensitivityLabel.textContent = auto ? 'Trim' : 'Sensitivity';
+        this.updateNormalizationDisplay();
+    }
+
+    /**
+     * Show the normalization gain next to the trim
+     */
+    updateNormalizationDisplay() {
+        const frame = this.audioEngine.frame;
+        if (!this.audioEngine.autoNormalize || !frame) {
+            this.normalizeGain.textContent = '';
+            return;
+        }
+        
+        this.normalizeGain.textContent = `×${frame.normalization.gain.toFixed(2)}`;
+    }
+
     /**
      * Update sensitivity for current visualizer
      */
@@ -327,11 +838,76 @@ class AudioVisualizerApp {
         }
     }
 
+    /**
+     * Lock visualizer animation to the detected tempo
+     */
+    setTempoSync(enabled) {
+        Object.values(this.visualizers).forEach(visualizer => {
+            visualizer.setTempoSync(enabled);
+        });
+        this.updateStatus(enabled ? 'Beat sync enabled - animation follows the detected tempo' : 'Beat sync disabled');
+    }
+
+    /**
+     * Switch how visualizers pick their colors
+     */
+    setColorMode(mode) {
+        Object.values(this.visualizers).forEach(visualizer => {
+            visualizer.setColorMode(mode);
+        });
+        this.updateStatus(mode === 'chroma' ? 'Note colors - each musical note has its own color' : 'Spectrum colors');
+    }
+
+    /**
+     * Drive the left and right side of the visualizers from separate channels
+     */
+    setStereoMode(enabled) {
+        Object.values(this.visualizers).forEach(visualizer => {
+            visualizer.setStereoMode(enabled);
+        });
+        this.updateStatus(enabled ? 'Stereo mode enabled - left and right channels drive each side' : 'Stereo mode disabled');
+    }
+
+    /**
+     * Update stereo width and balance readout
+     */
+    updateStereoDisplay() {
+        const frame = this.audioEngine.frame;
+        if (!frame) return;
+        
+        const { width, balance, correlation } = frame.stereo;
+        const pan = Math.round(Math.abs(balance) * 100);
+        const side = pan < 5 ? 'C' : `${balance < 0 ? 'L' : 'R'}${pan}`;
+        this.stereoDisplay.textContent = `W ${Math.round(width * 100)}% ${side}`;
+        this.stereoDisplay.title = `Stereo width and balance - correlation ${correlation.toFixed(2)}`;
+        
+        // Highlight when the source carries real stereo information
+        this.stereoDisplay.classList.toggle('locked', width > 0.02 || pan >= 5);
+    }
+
+    /**
+     * Update BPM and beat phase readout
+     */
+    updateTempoDisplay() {
+        const frame = this.audioEngine.frame;
+        const tempo = frame ? frame.tempo : null;
+        if (!tempo || !tempo.locked) {
+            this.tempoDisplay.textContent = '--- BPM';
+            this.tempoDisplay.classList.remove('locked');
+            return;
+        }
+        
+        const beats = Array.from({ length: tempo.beatsPerBar }, (_, i) => i === tempo.beat ? '●' : '○').join('');
+        this.tempoDisplay.textContent = `${Math.round(tempo.bpm)} BPM ${beats}`;
+        this.tempoDisplay.title = `Confidence: ${Math.round(tempo.confidence * 100)}%`;
+        this.tempoDisplay.classList.add('locked');
+    }
+
     /**
      * Update tool button states
      */
     updateToolButtons(activeKey) {
-        this.toolButtons.forEach(button => {
+        this.toolSelector.querySelectorAll('.tool-btn').forEach(button => {
             button.classList.toggle('active', button.dataset.tool === activeKey);
         });
     }
@@ -340,12 +916,8 @@ class AudioVisualizerApp {
      * Get human-readable visualizer name
      */
     getVisualizerName(key) {
-        const names = {
-            rose: 'Rose Visualizer',
-            sphere: '3D Sphere Visualizer',
-            fractal: 'Fractal Visualizer'
-        };
-        return names[key] || key;
+        const definition = VisualizerRegistry.get(key);
+        return definition ? definition.name : key;
     }
 
     /**
@@ -369,18 +941,21 @@ class AudioVisualizerApp {
      * Handle window beforeunload
      */
     cleanup() {
+        if (this.tempoDisplayTimer) {
+            clearInterval(this.tempoDisplayTimer);
+        }
+        
+        this.transition.finish();
+        
+        if (this.recorder.isRecording()) {
+            this.recordControls.stop();
+        }
+        
         Object.values(this.visualizers).forEach(visualizer => {
             visualizer.destroy();
         });
         
-        if (this.audioElement) {
-            this.audioElement.pause();
-            this.audioElement = null;
-        }
-        
-        if (this.sharedAudioContext && this.sharedAudioContext.state !== 'closed') {
-            this.sharedAudioContext.close();
-        }
+        this.audioEngine.destroy();
     }
 }
 
@@ -0,0 +1,853 @@
+/**
+ * Audio Engine
+ * Owns the Web Audio graph (context, sources, analyser) and extracts all
+ * audio features once per animation frame. Visualizers receive a read-only
+ * frame object and never touch the audio graph themselves.
+ */
+class AudioEngine {
+    constructor(options = {}) {
+        this.audioContext = null;
+        this.analyser = null;
+        this.channelAnalysers = null; // [left, right]
+        this.input = null; // Every source connects here
+        this.output = null; // Playback to the speakers
+        
+        // Playback volume (does not affect analysis)
+        this.volume = 1;
+        this.muted = false;
+        
+        // Analyser parameters for beat, tempo, pitch and stereo analysis
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined ? options.smoothingTimeConstant : 0.8;
+        this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+        this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+        
+        // Extra analysers requested by visualizers, keyed by their settings
+        this.analysisProfiles = new Map(); // key -> { settings, analyser, frequencyData, timeDomainData, bandAnalyzer, source, frame, lastUsed }
+        this.profileTimeout = 2; // Seconds an unused profile is kept
+        
+        // Current source
+        this.sourceType = null; // 'microphone', 'display', 'demo', 'file' or 'offline'
+        this.sourceNode = null;
+        this.mediaStream = null;
+        this.audioElement = null;
+        this.audioElementURL = null;
+        this.demoSequencer = null;
+        this.demoOptions = { pattern: 'house', tempo: null, seed: 1, audible: true };
+        
+        // Microphone settings and processing (gain -> gate -> input, level metered before the gate)
+        this.microphoneOptions = {
+            deviceId: '', // '' = system default
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        };
+        this.inputGainDb = 0;
+        this.noiseGate = new NoiseGate();
+        this.inputGain = null;
+        this.gateGain = null;
+        this.levelAnalyser = null;
+        this.levelData = null;
+        this.inputLevel = null; // { level (dBFS), gateOpen }
+        
+        // Feature extraction
+        this.onsetDetector = new OnsetDetector();
+        this.bandAnalyzer = new BandAnalyzer();
+        this.tempoTracker = new TempoTracker();
+        this.pitchDetector = new PitchDetector();
+        this.stereoAnalyzer = new StereoAnalyzer();
+        
+        // Automatic loudness normalization of the features handed to visualizers
+        this.normalizer = new LoudnessNormalizer({ window: options.normalizationWindow });
+        this.autoNormalize = Boolean(options.autoNormalize);
+        this.normalizedBuffers = {}; // Scaled copies of the engine analyser's data
+        
+        // Analysis buffers
+        this.frequencyData = null;
+        this.timeDomainData = null;
+        this.channelFrequencyData = null;
+        this.channelTimeDomainData = null;
+        this.floatTimeDomainData = null;
+        
+        // Latest frame, computed at most once per animation timestamp
+        this.rawFrame = null; // Before normalization
+        this.frame = null;
+        this.frameTimestamp = null;
+    }
+
+    /**
+     * Create the audio context and analyser
+     */
+    async init() {
+        if (this.audioContext) return;
+        
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.createGraph();
+            
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+        } catch (error) {
+            console.error('Error initializing audio:', error);
+            throw new Error(`Audio initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Analyse a decoded buffer in an OfflineAudioContext (video export)
+     * The caller steps through it with audioContext.suspend()/resume() and getFrame()
+     * A short silent tail is rendered so the last frames can still be suspended
+     */
+    initOffline(audioBuffer, tailSeconds = 1) {
+        const length = audioBuffer.length + Math.ceil(tailSeconds * audioBuffer.sampleRate);
+        this.audioContext = new OfflineAudioContext(audioBuffer.numberOfChannels, length, audioBuffer.sampleRate);
+        this.createGraph();
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(this.input);
+        source.start();
+        
+        this.sourceNode = source;
+        this.sourceType = 'offline';
+        this.resetAnalysis();
+    }
+
+    /**
+     * Create the analysers, input/output gains and analysis buffers
+     */
+    createGraph() {
+        this.analyser = this.createAnalyserNode();
+        
+        // The input is always two channels so mono sources reach both channel analysers
+        this.input = this.audioContext.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.input.connect(this.analyser);
+        
+        const splitter = this.audioContext.createChannelSplitter(2);
+        this.input.connect(splitter);
+        this.channelAnalysers = [0, 1].map(channel => {
+            const analyser = this.createAnalyserNode();
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        
+        this.output = this.audioContext.createGain();
+        this.output.connect(this.audioContext.destination);
+        this.applyOutputGain();
+        
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.timeDomainData = new Uint8Array(this.analyser.fftSize);
+        this.floatTimeDomainData = new Float32Array(this.analyser.fftSize);
+        this.channelFrequencyData = this.channelAnalysers.map(analyser => new Uint8Array(analyser.frequencyBinCount));
+        this.channelTimeDomainData = this.channelAnalysers.map(analyser => new Float32Array(analyser.fftSize));
+    }
+
+    /**
+     * Create an analyser, by default with the engine's own parameters
+     */
+    createAnalyserNode(settings = this.getAnalysisSettings()) {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = settings.fftSize;
+        analyser.smoothingTimeConstant = settings.smoothingTimeConstant;
+        
+        // Max first: a fresh analyser's minDecibels is -100 and min must stay below max
+        analyser.maxDecibels = settings.maxDecibels;
+        analyser.minDecibels = settings.minDecibels;
+        return analyser;
+    }
+
+    /**
+     * Analyser settings of the engine's own analysers
+     */
+    getAnalysisSettings() {
+        return {
+            fftSize: this.fftSize,
+            smoothingTimeConstant: this.smoothingTimeConstant,
+            minDecibels: this.minDecibels,
+            maxDecibels: this.maxDecibels
+        };
+    }
+
+    /**
+     * Use microphone input as the source
+     * Options (kept for later calls): deviceId, echoCancellation, noiseSuppression, autoGainControl
+     */
+    async useMicrophone(options = {}) {
+        Object.assign(this.microphoneOptions, options);
+        
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: this.getMicrophoneConstraints(),
+            video: false
+        });
+        
+        this.disconnectSource();
+        
+        this.mediaStream = stream;
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+        
+        this.inputGain = this.audioContext.createGain();
+        this.gateGain = this.audioContext.createGain();
+        this.levelAnalyser = this.audioContext.createAnalyser();
+        this.levelAnalyser.fftSize = 1024;
+        this.levelData = new Float32Array(this.levelAnalyser.fftSize);
+        this.applyInputGain();
+        
+        this.sourceNode.connect(this.inputGain);
+        this.inputGain.connect(this.levelAnalyser);
+        this.inputGain.connect(this.gateGain);
+        this.gateGain.connect(this.input);
+        
+        this.noiseGate.reset();
+        this.sourceType = 'microphone';
+        this.resetAnalysis();
+    }
+
+    /**
+     * Use audio shared from a browser tab or the system (screen capture) as the source
+     * The shared audio already plays through the speakers, so it is only analysed
+     */
+    async useDisplayAudio() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+            throw new Error('Tab/system audio capture is not supported in this browser');
+        }
+        
+        // Browsers only offer audio together with a video capture
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            },
+            systemAudio: 'include'
+        });
+        
+        stream.getVideoTracks().forEach(track => {
+            track.stop();
+            stream.removeTrack(track);
+        });
+        
+        if (stream.getAudioTracks().length === 0) {
+            throw new Error('No audio was shared - enable "Share tab audio" or "Share system audio" in the sharing dialog');
+        }
+        
+        this.disconnectSource();
+        
+        this.mediaStream = stream;
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+        this.sourceNode.connect(this.input);
+        this.sourceType = 'display';
+        this.resetAnalysis();
+    }
+
+    /**
+     * getUserMedia audio constraints for the microphone options
+     */
+    getMicrophoneConstraints() {
+        const { deviceId, echoCancellation, noiseSuppression, autoGainControl } = this.microphoneOptions;
+        const constraints = { echoCancellation, noiseSuppression, autoGainControl };
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+        return constraints;
+    }
+
+    /**
+     * Whether the microphone track stopped (e.g. the device was unplugged)
+     */
+    isMicrophoneEnded() {
+        return this.sourceType === 'microphone' &&
+            this.mediaStream.getAudioTracks().some(track => track.readyState === 'ended');
+    }
+
+    /**
+     * Set microphone input gain in dB (applies to analysis and recording)
+     */
+    setInputGain(db) {
+        this.inputGainDb = db;
+        this.applyInputGain();
+    }
+
+    /**
+     * Push the input gain to the gain node
+     */
+    applyInputGain() {
+        if (this.inputGain) {
+            this.inputGain.gain.value = Math.pow(10, this.inputGainDb / 20);
+        }
+    }
+
+    /**
+     * Set the noise gate threshold in dBFS (null disables the gate)
+     */
+    setNoiseGateThreshold(threshold) {
+        this.noiseGate.setThreshold(threshold);
+    }
+
+    /**
+     * Meter the microphone level and open or close the noise gate
+     */
+    updateInputLevel(time) {
+        if (!this.levelAnalyser) {
+            this.inputLevel = null;
+            return;
+        }
+        
+        this.levelAnalyser.getFloatTimeDomainData(this.levelData);
+        let sum = 0;
+        for (let i = 0; i < this.levelData.length; i++) {
+            sum += this.levelData[i] * this.levelData[i];
+        }
+        const rms = Math.sqrt(sum / this.levelData.length);
+        const level = Math.max(-100, 20 * Math.log10(rms || 1e-5));
+        
+        const gateOpen = this.noiseGate.update(level, time);
+        const timeConstant = gateOpen ? this.noiseGate.attack : this.noiseGate.release;
+        this.gateGain.gain.setTargetAtTime(gateOpen ? 1 : 0, time, timeConstant);
+        
+        this.inputLevel = { level, gateOpen };
+    }
+
+    /**
+     * List audio input devices ([] when enumeration is unavailable)
+     * Labels are empty until microphone permission has been granted
+     */
+    static async getInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    /**
+     * Use an audio file as the source (played through the speakers)
+     * Options: loop (default true)
+     */
+    async useFile(file, options = {}) {
+        if (!file) {
+            throw new Error('No audio file selected');
+        }
+        
+        const audioElement = new Audio();
+        audioElement.controls = false;
+        audioElement.loop = options.loop !== undefined ? options.loop : true;
+        
+        const fileURL = URL.createObjectURL(file);
+        audioElement.src = fileURL;
+        
+        // Wait for audio to be ready
+        try {
+            await new Promise((resolve, reject) => {
+                audioElement.addEventListener('canplaythrough', resolve, { once: true });
+                audioElement.addEventListener('error', () => reject(new Error('Could not decode audio file')), { once: true });
+                audioElement.load();
+            });
+        } catch (error) {
+            URL.revokeObjectURL(fileURL);
+            throw error;
+        }
+        
+        this.disconnectSource();
+        
+        this.audioElement = audioElement;
+        this.audioElementURL = fileURL;
+        this.sourceNode = this.audioContext.createMediaElementSource(audioElement);
+        this.sourceNode.connect(this.input);
+        this.sourceNode.connect(this.output);
+        this.sourceType = 'file';
+        this.resetAnalysis();
+        
+        await audioElement.play();
+    }
+
+    /**
+     * Set playback volume (0-1)
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyOutputGain();
+    }
+
+    /**
+     * Mute or unmute playback
+     */
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyOutputGain();
+    }
+
+    /**
+     * Apply volume and mute to the output gain
+     */
+    applyOutputGain() {
+        if (!this.output) return;
+        
+        const target = this.muted ? 0 : this.volume;
+        this.output.gain.setTargetAtTime(target, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Use procedurally generated demo music as the source
+     * Options (kept for later calls): pattern, tempo (null = pattern default), seed, audible
+     */
+    useDemo(options = {}) {
+        Object.assign(this.demoOptions, options);
+        this.disconnectSource();
+        
+        const { pattern, tempo, seed, audible } = this.demoOptions;
+        this.demoSequencer = new DemoSequencer(this.audioContext, { pattern, tempo, seed });
+        this.demoSequencer.output.connect(this.input);
+        if (audible) {
+            this.demoSequencer.output.connect(this.output);
+        }
+        this.demoSequencer.start();
+        
+        this.sourceType = 'demo';
+        this.resetAnalysis();
+    }
+
+    /**
+     * Disconnect and release the current source
+     */
+    disconnectSource() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        
+        if (this.audioElement) {
+            this.audioElement.pause();
+            this.audioElement.removeAttribute('src');
+            this.audioElement.load();
+            this.audioElement = null;
+        }
+        
+        if (this.audioElementURL) {
+            URL.revokeObjectURL(this.audioElementURL);
+            this.audioElementURL = null;
+        }
+        
+        if (this.demoSequencer) {
+            this.demoSequencer.stop();
+            this.demoSequencer = null;
+        }
+        
+        if (this.inputGain) {
+            this.inputGain.disconnect();
+            this.gateGain.disconnect();
+            this.inputGain = null;
+            this.gateGain = null;
+            this.levelAnalyser = null;
+            this.inputLevel = null;
+        }
+        
+        this.sourceType = null;
+    }
+
+    /**
+     * Create a MediaStream destination carrying the analysed input (for recording)
+     * It follows source changes because every source feeds the input node
+     */
+    createRecordingDestination() {
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.input.connect(destination);
+        return destination;
+    }
+
+    /**
+     * Disconnect a destination created by createRecordingDestination()
+     */
+    releaseRecordingDestination(destination) {
+        if (!destination || !this.input) return;
+        
+        try {
+            this.input.disconnect(destination);
+        } catch (e) {
+            // Already disconnected
+        }
+    }
+
+    /**
+     * Forget analysis history (e.g. when the source changes)
+     */
+    resetAnalysis() {
+        this.onsetDetector.reset();
+        this.bandAnalyzer.reset();
+        this.tempoTracker.reset();
+        this.pitchDetector.reset();
+        this.stereoAnalyzer.reset();
+        this.normalizer.reset();
+        this.analysisProfiles.forEach(profile => profile.bandAnalyzer.reset());
+    }
+
+    /**
+     * Switch between manual sensitivity only and automatic loudness normalization
+     */
+    setAutoNormalize(enabled) {
+        this.autoNormalize = Boolean(enabled);
+    }
+
+    /**
+     * Seconds of loudness history used for normalization
+     */
+    setNormalizationWindow(seconds) {
+        this.normalizer.setWindow(seconds);
+    }
+
+    /**
+     * Get the analysis frame for an animation timestamp
+     * Every caller with the same timestamp (and settings) receives the same frame.
+     * With analyser settings the spectrum, waveform, volume and bands come from an
+     * analyser with those settings; events, tempo, pitch and stereo are always shared.
+     */
+    getFrame(timestamp = performance.now(), settings = null) {
+        if (!this.analyser) return null;
+        
+        if (!this.frame || timestamp !== this.frameTimestamp) {
+            this.frameTimestamp = timestamp;
+            this.rawFrame = this.computeFrame(timestamp);
+            this.frame = this.autoNormalize ? this.normalizeFrame(this.rawFrame, this.normalizedBuffers) : this.rawFrame;
+            this.pruneAnalysisProfiles(this.frame.time);
+        }
+        
+        if (!settings) return this.frame;
+        
+        const normalized = AudioEngine.normalizeAnalysisSettings(settings);
+        const key = AudioEngine.getAnalysisKey(normalized);
+        if (key === AudioEngine.getAnalysisKey(this.getAnalysisSettings())) {
+            return this.frame;
+        }
+        
+        let profile = this.analysisProfiles.get(key);
+        if (!profile) {
+            profile = this.createAnalysisProfile(normalized);
+            this.analysisProfiles.set(key, profile);
+        }
+        
+        profile.lastUsed = this.frame.time;
+        if (profile.source !== this.frame) {
+            profile.source = this.frame;
+            const frame = this.computeProfileFrame(profile, this.rawFrame);
+            profile.frame = this.autoNormalize ? this.normalizeFrame(frame, profile.normalizedBuffers) : frame;
+        }
+        return profile.frame;
+    }
+
+    /**
+     * Create an analyser (and band analysis) with the given settings on the input
+     */
+    createAnalysisProfile(settings) {
+        const analyser = this.createAnalyserNode(settings);
+        this.input.connect(analyser);
+        
+        return {
+            settings: Object.freeze(settings),
+            analyser,
+            frequencyData: new Uint8Array(analyser.frequencyBinCount),
+            timeDomainData: new Uint8Array(analyser.fftSize), // A full window of samples
+            bandAnalyzer: new BandAnalyzer(),
+            normalizedBuffers: {},
+            source: null,
+            frame: null,
+            lastUsed: 0
+        };
+    }
+
+    /**
+     * Derive a frame from the shared frame with a profile's spectrum and bands
+     */
+    computeProfileFrame(profile, frame) {
+        profile.analyser.getByteFrequencyData(profile.frequencyData);
+        profile.analyser.getByteTimeDomainData(profile.timeDomainData);
+        
+        const bandAnalyzer = profile.bandAnalyzer;
+        bandAnalyzer.update(profile.frequencyData, frame.sampleRate);
+        
+        return Object.freeze({
+            ...frame,
+            frequencyData: profile.frequencyData,
+            timeDomainData: profile.timeDomainData,
+            volume: bandAnalyzer.getVolume(),
+            dominantFrequency: this.getDominantBin(profile.frequencyData),
+            bands: Object.freeze({ ...bandAnalyzer.getBands() }),
+            analysis: profile.settings,
+            getLogBands: (count, scale = 'log') => bandAnalyzer.getLogBands(count, scale)
+        });
+    }
+
+    /**
+     * Scale a frame's spectrum, waveform, volume, bands and stereo channels by the normalization gain
+     * The scaled copies live in buffers owned by the frame's analyser
+     */
+    normalizeFrame(frame, buffers) {
+        const gain = this.normalizer.gain;
+        const frequencyData = frame.frequencyData;
+        const timeDomainData = frame.timeDomainData;
+        
+        if (!buffers.frequencyData || buffers.frequencyData.length !== frequencyData.length) {
+            buffers.frequencyData = new Uint8Array(frequencyData.length);
+            buffers.logBands = {};
+        }
+        if (!buffers.timeDomainData || buffers.timeDomainData.length !== timeDomainData.length) {
+            buffers.timeDomainData = new Uint8Array(timeDomainData.length);
+        }
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            buffers.frequencyData[i] = Math.min(255, frequencyData[i] * gain);
+        }
+        for (let i = 0; i < timeDomainData.length; i++) {
+            buffers.timeDomainData[i] = Math.max(0, Math.min(255, 128 + (timeDomainData[i] - 128) * gain));
+        }
+        
+        const bands = {};
+        Object.entries(frame.bands).forEach(([name, value]) => {
+            bands[name] = Math.min(1, value * gain);
+        });
+        
+        const stereo = frame.stereo;
+        if (!buffers.channels) {
+            buffers.channels = [{}, {}];
+        }
+        
+        return Object.freeze({
+            ...frame,
+            raw: frame, // Unscaled frame for analysis-grade views
+            frequencyData: buffers.frequencyData,
+            timeDomainData: buffers.timeDomainData,
+            volume: frame.volume * gain,
+            bands: Object.freeze(bands),
+            stereo: Object.freeze({
+                ...stereo,
+                left: this.normalizeChannel(stereo.left, buffers.channels[0], gain),
+                right: this.normalizeChannel(stereo.right, buffers.channels[1], gain)
+            }),
+            getLogBands: (count, scale = 'log') => {
+                const values = frame.getLogBands(count, scale);
+                const key = `${count}:${scale}`;
+                const scaled = buffers.logBands[key] || (buffers.logBands[key] = new Float32Array(count));
+                for (let i = 0; i < count; i++) {
+                    scaled[i] = Math.min(1, values[i] * gain);
+                }
+                return scaled;
+            }
+        });
+    }
+
+    /**
+     * Scale one stereo channel's byte spectrum and float waveform into the channel's buffers
+     */
+    normalizeChannel(channel, buffers, gain) {
+        const frequencyData = channel.frequencyData;
+        const timeDomainData = channel.timeDomainData;
+        
+        if (!buffers.frequencyData || buffers.frequencyData.length !== frequencyData.length) {
+            buffers.frequencyData = new Uint8Array(frequencyData.length);
+        }
+        if (!buffers.timeDomainData || buffers.timeDomainData.length !== timeDomainData.length) {
+            buffers.timeDomainData = new Float32Array(timeDomainData.length);
+        }
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            buffers.frequencyData[i] = Math.min(255, frequencyData[i] * gain);
+        }
+        for (let i = 0; i < timeDomainData.length; i++) {
+            buffers.timeDomainData[i] = Math.max(-1, Math.min(1, timeDomainData[i] * gain));
+        }
+        
+        return Object.freeze({
+            ...channel,
+            frequencyData: buffers.frequencyData,
+            timeDomainData: buffers.timeDomainData,
+            volume: channel.volume * gain
+        });
+    }
+
+    /**
+     * Disconnect analysers no visualizer has asked for recently
+     */
+    pruneAnalysisProfiles(time) {
+        this.analysisProfiles.forEach((profile, key) => {
+            if (profile.lastUsed < time - this.profileTimeout) {
+                this.input.disconnect(profile.analyser);
+                this.analysisProfiles.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Pull analyser data and run feature extraction
+     */
+    computeFrame(timestamp) {
+        const time = this.audioContext.currentTime;
+        const sampleRate = this.audioContext.sampleRate;
+        
+        this.updateInputLevel(time);
+        
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getByteTimeDomainData(this.timeDomainData);
+        
+        let pitchSamples = this.timeDomainData;
+        if (this.analyser.getFloatTimeDomainData) {
+            this.analyser.getFloatTimeDomainData(this.floatTimeDomainData);
+            pitchSamples = this.floatTimeDomainData;
+        }
+        
+        this.bandAnalyzer.update(this.frequencyData, sampleRate);
+        const events = this.onsetDetector.process(this.frequencyData, sampleRate, time);
+        const tempo = this.tempoTracker.update(this.onsetDetector.envelope, time);
+        const pitch = this.pitchDetector.update(pitchSamples, sampleRate);
+        const stereo = this.computeStereo();
+        
+        // Loudness statistics are always tracked so switching to auto takes effect at once
+        const volume = this.bandAnalyzer.getVolume();
+        this.normalizer.update(volume, time);
+        
+        const bandAnalyzer = this.bandAnalyzer;
+        
+        return Object.freeze({
+            timestamp,
+            time,
+            sampleRate,
+            frequencyData: this.frequencyData,
+            timeDomainData: this.timeDomainData,
+            floatTimeDomainData: this.floatTimeDomainData,
+            volume,
+            dominantFrequency: this.getDominantBin(),
+            bands: Object.freeze({ ...bandAnalyzer.getBands() }),
+            events: Object.freeze(events.map(event => Object.freeze(event))),
+            tempo: Object.freeze(tempo),
+            pitch: pitch ? Object.freeze({ ...pitch }) : null,
+            stereo,
+            analysis: Object.freeze(this.getAnalysisSettings()),
+            normalization: Object.freeze({
+                enabled: this.autoNormalize,
+                gain: this.normalizer.gain,
+                loudness: this.normalizer.loudness,
+                peak: this.normalizer.peak
+            }),
+            getLogBands: (count, scale = 'log') => bandAnalyzer.getLogBands(count, scale)
+        });
+    }
+
+    /**
+     * Pull per-channel analyser data and derive left/right/mid/side
+     */
+    computeStereo() {
+        this.channelAnalysers.forEach((analyser, channel) => {
+            analyser.getByteFrequencyData(this.channelFrequencyData[channel]);
+            analyser.getFloatTimeDomainData(this.channelTimeDomainData[channel]);
+        });
+        
+        const [leftSamples, rightSamples] = this.channelTimeDomainData;
+        const state = this.stereoAnalyzer.update(leftSamples, rightSamples);
+        
+        return Object.freeze({
+            left: Object.freeze({
+                frequencyData: this.channelFrequencyData[0],
+                timeDomainData: leftSamples,
+                volume: this.getAverageLevel(this.channelFrequencyData[0]),
+                level: state.left
+            }),
+            right: Object.freeze({
+                frequencyData: this.channelFrequencyData[1],
+                timeDomainData: rightSamples,
+                volume: this.getAverageLevel(this.channelFrequencyData[1]),
+                level: state.right
+            }),
+            mid: Object.freeze({ timeDomainData: this.stereoAnalyzer.mid, level: state.mid }),
+            side: Object.freeze({ timeDomainData: this.stereoAnalyzer.side, level: state.side }),
+            balance: state.balance,
+            width: state.width,
+            correlation: state.correlation
+        });
+    }
+
+    /**
+     * Overall level (volume) 0-1, averaged over log-spaced bands so every octave counts alike
+     */
+    getAverageLevel(frequencyData = this.frequencyData, sampleRate = this.audioContext.sampleRate) {
+        return BandAnalyzer.getLevel(frequencyData, sampleRate);
+    }
+
+    /**
+     * Index of the loudest frequency bin, normalized 0-1
+     */
+    getDominantBin(frequencyData = this.frequencyData) {
+        let maxIndex = 0;
+        let maxValue = 0;
+        
+        for (let i = 0; i < frequencyData.length; i++) {
+            if (frequencyData[i] > maxValue) {
+                maxValue = frequencyData[i];
+                maxIndex = i;
+            }
+        }
+        
+        return maxIndex / frequencyData.length;
+    }
+
+    /**
+     * Release the source and close the audio context
+     */
+    destroy() {
+        this.disconnectSource();
+        
+        // Offline contexts cannot be closed
+        if (this.audioContext && this.audioContext.close && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+        
+        this.analysisProfiles.forEach(profile => this.input.disconnect(profile.analyser));
+        this.analysisProfiles.clear();
+        
+        this.audioContext = null;
+        this.analyser = null;
+        this.channelAnalysers = null;
+        this.frame = null;
+    }
+
+    /**
+     * Fill in missing analyser settings and keep them in the ranges AnalyserNode accepts
+     * (power-of-two FFT size 32-32768, smoothing 0-1, minDecibels at least 10 dB below maxDecibels)
+     */
+    static normalizeAnalysisSettings(settings) {
+        const defaults = AudioEngine.DEFAULT_ANALYSIS;
+        const fftSize = Math.pow(2, Math.round(Math.log2(settings.fftSize || defaults.fftSize)));
+        const smoothing = settings.smoothingTimeConstant !== undefined ? settings.smoothingTimeConstant : defaults.smoothingTimeConstant;
+        const maxDecibels = Math.min(0, settings.maxDecibels !== undefined ? settings.maxDecibels : defaults.maxDecibels);
+        const minDecibels = Math.min(maxDecibels - 10, settings.minDecibels !== undefined ? settings.minDecibels : defaults.minDecibels);
+        
+        return {
+            fftSize: Math.max(32, Math.min(32768, fftSize)),
+            smoothingTimeConstant: Math.max(0, Math.min(1, smoothing)),
+            minDecibels,
+            maxDecibels
+        };
+    }
+
+    /**
+     * Cache key for a set of analyser settings
+     */
+    static getAnalysisKey(settings) {
+        return `${settings.fftSize}:${settings.smoothingTimeConstant}:${settings.minDecibels}:${settings.maxDecibels}`;
+    }
+}
+
+/**
+ * Web Audio's AnalyserNode defaults
+ */
+AudioEngine.DEFAULT_ANALYSIS = Object.freeze({
+    fftSize: 2048,
+    smoothingTimeConstant: 0.8,
+    minDecibels: -100,
+    maxDecibels: -30
+});
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Band Analyzer
+ * Groups linear FFT bins into perceptual frequency bands (named bands and
+ * N log/mel-spaced bands), normalized 0-1 and smoothed per band
+ */
+class BandAnalyzer {
+    constructor(options = {}) {
+        // Named bands (Hz)
+        this.namedBands = options.namedBands || [
+            { name: 'sub', minHz: 20, maxHz: 60 },
+            { name: 'bass', minHz: 60, maxHz: 250 },
+            { name: 'lowMid', minHz: 250, maxHz: 500 },
+            { name: 'mid', minHz: 500, maxHz: 2000 },
+            { name: 'high', minHz: 2000, maxHz: 6000 },
+            { name: 'air', minHz: 6000, maxHz: 20000 }
+        ];
+        
+        // Frequency range covered by N-band layouts
+        this.minHz = options.minHz || 20;
+        this.maxHz = options.maxHz || 20000;
+        
+        // Asymmetric smoothing: fast attack, slower release
+        this.attack = options.attack || 0.6;
+        this.release = options.release || 0.15;
+        
+        this.frequencyData = null;
+        this.sampleRate = 44100;
+        this.frameId = 0;
+        
+        this.bands = {};
+        this.namedBands.forEach(band => {
+            this.bands[band.name] = 0;
+        });
+        
+        // Cached N-band layouts keyed by "count:scale"
+        this.layouts = {};
+    }
+
+    /**
+     * Feed one frame of byte frequency data
+     */
+    update(frequencyData, sampleRate) {
+        if (!frequencyData) return;
+        
+        if (sampleRate && sampleRate !== this.sampleRate) {
+            this.sampleRate = sampleRate;
+            this.layouts = {};
+        }
+        
+        this.frequencyData = frequencyData;
+        this.frameId++;
+        
+        this.namedBands.forEach(band => {
+            const value = this.getRangeLevel(band.minHz, band.maxHz);
+            this.bands[band.name] = this.smooth(this.bands[band.name], value);
+        });
+    }
+
+    /**
+     * Get smoothed named bands { sub, bass, lowMid, mid, high, air }
+     */
+    getBands() {
+        return this.bands;
+    }
+
+    /**
+     * Get N smoothed bands spaced on a 'log' or 'mel' scale
+     * The returned array is reused between frames - copy it to keep values
+     */
+    getLogBands(count, scale = 'log') {
+        const key = `${count}:${scale}`;
+        let layout = this.layouts[key];
+        
+        if (!layout) {
+            layout = {
+                edges: this.createEdges(count, scale),
+                values: new Float32Array(count),
+                frameId: -1
+            };
+            this.layouts[key] = layout;
+        }
+        
+        if (layout.frameId !== this.frameId && this.frequencyData) {
+            for (let i = 0; i < count; i++) {
+                const value = this.getRangeLevel(layout.edges[i], layout.edges[i + 1]);
+                layout.values[i] = this.smooth(layout.values[i], value);
+            }
+            layout.frameId = this.frameId;
+        }
+        
+        return layout.values;
+    }
+
+    /**
+     * Create count + 1 band edges (Hz) between minHz and maxHz
+     */
+    createEdges(count, scale) {
+        const maxHz = Math.min(this.maxHz, this.sampleRate / 2);
+        const toScale = scale === 'mel' ? BandAnalyzer.hzToMel : Math.log;
+        const fromScale = scale === 'mel' ? BandAnalyzer.melToHz : Math.exp;
+        
+        const low = toScale(this.minHz);
+        const high = toScale(maxHz);
+        const edges = [];
+        
+        for (let i = 0; i <= count; i++) {
+            edges.push(fromScale(low + (high - low) * (i / count)));
+        }
+        
+        return edges;
+    }
+
+    /**
+     * Average level (0-1) of the bins between two frequencies
+     */
+    getRangeLevel(minHz, maxHz) {
+        return BandAnalyzer.getDataRangeLevel(this.frequencyData, this.sampleRate, minHz, maxHz);
+    }
+
+    /**
+     * Unsmoothed overall level (0-1) of the current frame, weighted per octave (see BandAnalyzer.getLevel)
+     */
+    getVolume() {
+        return this.frequencyData ? BandAnalyzer.getLevel(this.frequencyData, this.sampleRate) : 0;
+    }
+
+    /**
+     * Move a smoothed value towards its target
+     */
+    smooth(current, target) {
+        const factor = target > current ? this.attack : this.release;
+        return current + (target - current) * factor;
+    }
+
+    /**
+     * Clear smoothed values and cached layouts
+     */
+    reset() {
+        this.layouts = {};
+        this.namedBands.forEach(band => {
+            this.bands[band.name] = 0;
+        });
+    }
+
+    /**
+     * Convert between Hz and the mel scale
+     */
+    static hzToMel(hz) {
+        return 2595 * Math.log10(1 + hz / 700);
+    }
+
+    static melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+
+    /**
+     * Average level (0-1) of the bins of byte frequency data between two frequencies
+     * Bands narrower than one bin are linearly interpolated
+     */
+    static getDataRangeLevel(data, sampleRate, minHz, maxHz) {
+        const binHz = (sampleRate / 2) / data.length;
+        const start = minHz / binHz;
+        const end = maxHz / binHz;
+        
+        const firstBin = Math.ceil(start);
+        const lastBin = Math.min(data.length - 1, Math.floor(end));
+        
+        if (lastBin < firstBin) {
+            const center = Math.min(data.length - 1, (start + end) / 2);
+            const lower = Math.floor(center);
+            const upper = Math.min(data.length - 1, lower + 1);
+            const fraction = center - lower;
+            return (data[lower] * (1 - fraction) + data[upper] * fraction) / 255;
+        }
+        
+        let sum = 0;
+        for (let i = firstBin; i <= lastBin; i++) {
+            sum += data[i];
+        }
+        
+        return sum / (lastBin - firstBin + 1) / 255;
+    }
+
+    /**
+     * Overall level (0-1) of byte frequency data: the mean of VOLUME_BANDS log-spaced bands
+     * from 20 Hz to 20 kHz, so every octave counts alike instead of the (mostly quiet) top
+     * octave making up half of the linear bins
+     */
+    static getLevel(data, sampleRate) {
+        const count = BandAnalyzer.VOLUME_BANDS;
+        const maxHz = Math.min(20000, sampleRate / 2);
+        const ratio = Math.pow(maxHz / 20, 1 / count);
+        
+        let sum = 0;
+        let low = 20;
+        for (let i = 0; i < count; i++) {
+            const high = low * ratio;
+            sum += BandAnalyzer.getDataRangeLevel(data, sampleRate, low, high);
+            low = high;
+        }
+        
+        return sum / count;
+    }
+}
+
+/**
+ * Number of log-spaced bands the overall level is averaged over
+ */
+BandAnalyzer.VOLUME_BANDS = 30;
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Demo Sequencer
+ * Procedural music for demo mode: synthesized kick, snare, hi-hats, bassline
+ * and pads played from 16-step patterns with a look-ahead scheduler. The same
+ * pattern, tempo and seed always produce the same music.
+ */
+class DemoSequencer {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.patternName = DemoSequencer.PATTERNS[options.pattern] ? options.pattern : 'house';
+        this.pattern = DemoSequencer.PATTERNS[this.patternName];
+        this.tempo = options.tempo || this.pattern.tempo;
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        
+        // Seeded choices: key, chord progression, fills, velocities
+        this.random = BaseVisualizer.createRandom(this.seed);
+        this.key = Math.floor(this.random() * 12);
+        this.progression = this.pattern.progressions[Math.floor(this.random() * this.pattern.progressions.length)];
+        
+        this.output = audioContext.createGain();
+        this.output.gain.value = 0.6;
+        this.noiseBuffer = this.createNoiseBuffer(BaseVisualizer.createRandom(this.seed + 1));
+        
+        // Look-ahead scheduling (timer wakes every 25 ms, schedules 200 ms ahead)
+        this.scheduleInterval = 25;
+        this.scheduleAhead = 0.2;
+        this.timer = null;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.fill = false;
+    }
+
+    /**
+     * Start playing from the first step
+     */
+    start() {
+        if (this.timer) return;
+        
+        this.step = 0;
+        this.nextStepTime = this.audioContext.currentTime + 0.05;
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), this.scheduleInterval);
+    }
+
+    /**
+     * Stop scheduling and silence the output
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.output.disconnect();
+    }
+
+    /**
+     * Seconds per sixteenth note
+     */
+    getStepDuration() {
+        return 60 / this.tempo / 4;
+    }
+
+    /**
+     * Schedule every step that starts within the look-ahead window
+     */
+    schedule() {
+        while (this.nextStepTime < this.audioContext.currentTime + this.scheduleAhead) {
+            this.scheduleStep(this.step, this.nextStepTime);
+            this.nextStepTime += this.getStepDuration();
+            this.step++;
+        }
+    }
+
+    /**
+     * Schedule the notes of one step
+     */
+    scheduleStep(step, time) {
+        const pattern = this.pattern;
+        const index = step % 16;
+        const bar = Math.floor(step / 16);
+        const chord = this.progression[bar % this.progression.length];
+        
+        if (index === 0) {
+            // Snare fill at the end of every fourth bar (sometimes)
+            this.fill = bar % 4 === 3 && this.random() < pattern.fillChance;
+            
+            if (pattern.padLevel > 0) {
+                this.playPad(time, chord, this.getStepDuration() * 16, pattern.padLevel);
+            }
+        }
+        
+        const kick = DemoSequencer.getVelocity(pattern.kick, index);
+        if (kick) {
+            this.playKick(time, kick);
+        }
+        
+        const snare = this.fill && index >= 12 ? 0.4 + (index - 12) * 0.2 : DemoSequencer.getVelocity(pattern.snare, index);
+        if (snare) {
+            this.playSnare(time, snare * this.humanize());
+        }
+        
+        // An open hat chokes the closed hat on the same step
+        const openHat = DemoSequencer.getVelocity(pattern.openHat, index);
+        const hat = DemoSequencer.getVelocity(pattern.hat, index);
+        if (openHat) {
+            this.playHat(time, openHat * this.humanize(), true);
+        } else if (hat) {
+            this.playHat(time, hat * this.humanize(), false);
+        }
+        
+        const bassNote = pattern.bass[index];
+        if (bassNote && bassNote !== '.') {
+            // r = root, f = fifth, o = octave; roots sometimes jump up an octave
+            let interval = { r: 0, f: 7, o: 12 }[bassNote];
+            if (bassNote === 'r' && this.random() < 0.15) {
+                interval = 12;
+            }
+            this.playBass(time, 33 + this.key + chord.root + interval, this.getStepDuration() * pattern.bassLength);
+        }
+    }
+
+    /**
+     * Small random velocity variation
+     */
+    humanize() {
+        return 0.85 + this.random() * 0.15;
+    }
+
+    /**
+     * Kick drum: sine with a fast downward pitch sweep
+     */
+    playKick(time, velocity) {
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        oscillator.frequency.setValueAtTime(150, time);
+        oscillator.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+        gain.gain.setValueAtTime(velocity, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.45);
+        
+        oscillator.connect(gain);
+        gain.connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + 0.5);
+    }
+
+    /**
+     * Snare drum: high-passed noise plus a short tonal body
+     */
+    playSnare(time, velocity) {
+        this.playNoise(time, velocity * 0.7, 0.2, 'highpass', 1200);
+        
+        const body = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        body.type = 'triangle';
+        body.frequency.setValueAtTime(190, time);
+        gain.gain.setValueAtTime(velocity * 0.5, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
+        
+        body.connect(gain);
+        gain.connect(this.output);
+        body.start(time);
+        body.stop(time + 0.12);
+    }
+
+    /**
+     * Hi-hat: short (closed) or long (open) burst of high-passed noise
+     */
+    playHat(time, velocity, open) {
+        this.playNoise(time, velocity * 0.3, open ? 0.3 : 0.05, 'highpass', 7000);
+    }
+
+    /**
+     * Filtered noise burst with an exponential decay
+     */
+    playNoise(time, level, decay, filterType, frequency) {
+        const source = this.audioContext.createBufferSource();
+        const filter = this.audioContext.createBiquadFilter();
+        const gain = this.audioContext.createGain();
+        
+        source.buffer = this.noiseBuffer;
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        gain.gain.setValueAtTime(level, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.output);
+        source.start(time);
+        source.stop(time + decay + 0.02);
+    }
+
+    /**
+     * Bass: low-passed sawtooth with a filter envelope
+     */
+    playBass(time, midi, duration) {
+        const oscillator = this.audioContext.createOscillator();
+        const filter = this.audioContext.createBiquadFilter();
+        const gain = this.audioContext.createGain();
+        
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(DemoSequencer.midiToFrequency(midi), time);
+        filter.type = 'lowpass';
+        filter.Q.value = 6;
+        filter.frequency.setValueAtTime(900, time);
+        filter.frequency.exponentialRampToValueAtTime(180, time + duration);
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.exponentialRampToValueAtTime(0.5, time + 0.01);
+        gain.gain.setTargetAtTime(0.001, time + duration * 0.7, duration * 0.15);
+        
+        oscillator.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.1);
+    }
+
+    /**
+     * Pad: detuned sawtooth pairs per chord tone with slow attack and release
+     */
+    playPad(time, chord, duration, level) {
+        const filter = this.audioContext.createBiquadFilter();
+        const gain = this.audioContext.createGain();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1400;
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.linearRampToValueAtTime(level, time + duration * 0.25);
+        gain.gain.setTargetAtTime(0.001, time + duration * 0.85, duration * 0.08);
+        filter.connect(gain);
+        gain.connect(this.output);
+        
+        const intervals = chord.minor ? [0, 3, 7] : [0, 4, 7];
+        intervals.forEach(interval => {
+            const frequency = DemoSequencer.midiToFrequency(57 + this.key + chord.root + interval);
+            [-7, 7].forEach(detune => {
+                const oscillator = this.audioContext.createOscillator();
+                oscillator.type = 'sawtooth';
+                oscillator.frequency.setValueAtTime(frequency, time);
+                oscillator.detune.setValueAtTime(detune, time);
+                oscillator.connect(filter);
+                oscillator.start(time);
+                oscillator.stop(time + duration * 1.1);
+            });
+        });
+    }
+
+    /**
+     * One second of seeded white noise shared by all noise voices
+     */
+    createNoiseBuffer(random) {
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    /**
+     * Velocity of a pattern step: x = accent, o = soft, anything else = rest
+     */
+    static getVelocity(steps, index) {
+        const step = steps[index];
+        return step === 'x' ? 1 : step === 'o' ? 0.5 : 0;
+    }
+
+    /**
+     * Frequency of a MIDI note number
+     */
+    static midiToFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+}
+
+/**
+ * Patterns: 16 steps per bar; chord roots are semitones from the seeded key
+ */
+DemoSequencer.PATTERNS = {
+    house: {
+        label: 'House',
+        tempo: 124,
+        kick: 'x...x...x...x...',
+        snare: '....x.......x...',
+        hat: 'o.o.o.o.o.o.o.o.',
+        openHat: '..x...x...x...x.',
+        bass: '..r...r...r.f.r.',
+        bassLength: 1.5,
+        padLevel: 0.05,
+        fillChance: 0.3,
+        progressions: [
+            [{ root: 0, minor: true }, { root: -4, minor: false }, { root: 3, minor: false }, { root: -2, minor: false }],
+            [{ root: 0, minor: true }, { root: 5, minor: true }, { root: -4, minor: false }, { root: -2, minor: false }]
+        ]
+    },
+    breakbeat: {
+        label: 'Breakbeat',
+        tempo: 136,
+        kick: 'x.x.......xx....',
+        snare: '....x..o.o..x..o',
+        hat: 'x.x.x.x.x.x.x.x.',
+        openHat: '.......x........',
+        bass: 'r.....r...f..o..',
+        bassLength: 2,
+        padLevel: 0.03,
+        fillChance: 0.5,
+        progressions: [
+            [{ root: 0, minor: true }, { root: 0, minor: true }, { root: 5, minor: true }, { root: 3, minor: false }],
+            [{ root: 0, minor: true }, { root: -2, minor: false }, { root: -4, minor: false }, { root: -5, minor: false }]
+        ]
+    },
+    halftime: {
+        label: 'Half-time',
+        tempo: 140,
+        kick: 'x......x..x.....',
+        snare: '........x.......',
+        hat: 'xoxoxoxoxoxoxxxx',
+        openHat: '................',
+        bass: 'r......r..r.....',
+        bassLength: 5,
+        padLevel: 0.04,
+        fillChance: 0.25,
+        progressions: [
+            [{ root: 0, minor: true }, { root: 1, minor: false }, { root: 0, minor: true }, { root: -2, minor: false }],
+            [{ root: 0, minor: true }, { root: 3, minor: false }, { root: -4, minor: false }, { root: -5, minor: true }]
+        ]
+    },
+    ambient: {
+        label: 'Ambient',
+        tempo: 84,
+        kick: 'o.......o.......',
+        snare: '................',
+        hat: '....o.......o...',
+        openHat: '................',
+        bass: 'r.......f.......',
+        bassLength: 7,
+        padLevel: 0.09,
+        fillChance: 0,
+        progressions: [
+            [{ root: 0, minor: false }, { root: 5, minor: false }, { root: -3, minor: true }, { root: 7, minor: false }],
+            [{ root: 0, minor: true }, { root: -4, minor: false }, { root: -7, minor: false }, { root: -2, minor: false }]
+        ]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Loudness Normalizer
+ * Tracks rolling loudness (mean volume) and peak (95th percentile volume)
+ * over a time window and derives a gain that brings quiet and loud material
+ * into a consistent range. Silent frames are ignored, so pauses and fades
+ * do not pump the gain up.
+ */
+class LoudnessNormalizer {
+    constructor(options = {}) {
+        this.window = options.window || 8; // Seconds of history
+        this.targetLoudness = options.targetLoudness || 0.35; // Mean volume after gain
+        this.targetPeak = options.targetPeak || 0.8; // Peak volume after gain, keeps transients from saturating
+        this.peakPercentile = 0.95;
+        this.minGain = options.minGain || 0.25;
+        this.maxGain = options.maxGain || 6;
+        this.silenceFloor = options.silenceFloor || 0.03; // Volume below which frames are not measured
+        this.responseTime = options.responseTime || 1.5; // Gain smoothing time constant (seconds)
+        
+        this.reset();
+    }
+
+    /**
+     * Change the measurement window (seconds)
+     */
+    setWindow(seconds) {
+        this.window = Math.max(1, seconds);
+    }
+
+    /**
+     * Feed one frame's volume, returns the current gain
+     */
+    update(volume, time) {
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        
+        if (volume >= this.silenceFloor) {
+            this.history.push({ time, volume });
+        }
+        
+        while (this.history.length > 0 && this.history[0].time < time - this.window) {
+            this.history.shift();
+        }
+        
+        // Nothing but silence in the window: hold the gain
+        if (this.history.length === 0) return this.gain;
+        
+        const volumes = this.history.map(entry => entry.volume);
+        this.loudness = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+        
+        volumes.sort((a, b) => a - b);
+        this.peak = volumes[Math.min(volumes.length - 1, Math.floor(volumes.length * this.peakPercentile))];
+        
+        const target = Math.max(this.minGain, Math.min(this.maxGain,
+            Math.min(this.targetLoudness / this.loudness, this.targetPeak / this.peak)));
+        
+        // Ease in the log domain so raising and lowering take equally long
+        const factor = 1 - Math.exp(-elapsed / this.responseTime);
+        this.gain = Math.exp(Math.log(this.gain) + (Math.log(target) - Math.log(this.gain)) * factor);
+        
+        return this.gain;
+    }
+
+    /**
+     * Forget the history (e.g. on a new track) and return to unity gain
+     */
+    reset() {
+        this.history = []; // { time, volume }
+        this.lastTime = null;
+        this.loudness = 0;
+        this.peak = 0;
+        this.gain = 1;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Noise Gate
+ * Opens when the input level rises above a threshold and closes again after it
+ * stays below threshold minus hysteresis for the hold time, so room noise
+ * between sounds does not reach the analysis
+ */
+class NoiseGate {
+    constructor(options = {}) {
+        this.threshold = options.threshold !== undefined ? options.threshold : null; // dBFS, null = disabled
+        this.hysteresis = options.hysteresis || 6; // dB
+        this.holdTime = options.holdTime || 0.2; // seconds
+        
+        // Gain ramp time constants (seconds)
+        this.attack = options.attack || 0.005;
+        this.release = options.release || 0.08;
+        
+        this.reset();
+    }
+
+    /**
+     * Set the threshold in dBFS (null disables the gate)
+     */
+    setThreshold(threshold) {
+        this.threshold = threshold;
+        if (threshold === null) {
+            this.open = true;
+        }
+    }
+
+    /**
+     * Feed the current input level (dBFS), returns whether the gate is open
+     */
+    update(levelDb, time) {
+        if (this.threshold === null) {
+            this.open = true;
+            return true;
+        }
+        
+        if (levelDb >= this.threshold) {
+            this.open = true;
+            this.lastOpenTime = time;
+        } else if (this.open && levelDb < this.threshold - this.hysteresis && time - this.lastOpenTime > this.holdTime) {
+            this.open = false;
+        }
+        
+        return this.open;
+    }
+
+    /**
+     * Forget gate state
+     */
+    reset() {
+        this.open = true;
+        this.lastOpenTime = 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Onset Detector
+ * Spectral-flux onset detection with an adaptive threshold, split into
+ * frequency bands so visualizers can tell kicks from snares and hi-hats
+ */
+class OnsetDetector {
+    constructor(options = {}) {
+        // Frequency bands (Hz) that are tracked independently
+        this.bands = options.bands || [
+            { name: 'low', minHz: 30, maxHz: 150 },
+            { name: 'mid', minHz: 150, maxHz: 2500 },
+            { name: 'high', minHz: 2500, maxHz: 12000 }
+        ];
+        
+        // Band that produces 'beat' events in addition to 'onset' events
+        this.beatBand = options.beatBand || 'low';
+        
+        // Adaptive threshold parameters
+        this.historySize = options.historySize || 43; // ~0.7s at 60fps
+        this.thresholdMultiplier = options.thresholdMultiplier || 1.5;
+        this.minThreshold = options.minThreshold || 0.01;
+        this.minInterval = options.minInterval || 0.12; // Seconds between onsets per band
+        
+        this.previousSpectrum = null;
+        this.binRanges = null;
+        this.binCount = 0;
+        this.sampleRate = 0;
+        
+        // Combined flux of the last frame, used as the onset envelope
+        this.envelope = 0;
+        
+        this.reset();
+    }
+
+    /**
+     * Clear flux history and onset timing
+     */
+    reset() {
+        this.previousSpectrum = null;
+        this.envelope = 0;
+        this.bandState = this.bands.map(band => ({
+            name: band.name,
+            history: [],
+            lastOnsetTime: -Infinity,
+            flux: 0,
+            threshold: 0
+        }));
+    }
+
+    /**
+     * Map band frequencies to FFT bin ranges
+     */
+    updateBinRanges(binCount, sampleRate) {
+        const nyquist = sampleRate / 2;
+        
+        this.binRanges = this.bands.map(band => {
+            const start = Math.max(1, Math.floor(band.minHz / nyquist * binCount));
+            const end = Math.min(binCount, Math.ceil(band.maxHz / nyquist * binCount));
+            return { start, end: Math.max(start + 1, end) };
+        });
+        
+        this.binCount = binCount;
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * Process one frame of byte frequency data
+     * Returns an array of onset/beat events detected in this frame
+     */
+    process(frequencyData, sampleRate, time) {
+        if (!frequencyData || !frequencyData.length) return [];
+        
+        if (frequencyData.length !== this.binCount || sampleRate !== this.sampleRate) {
+            this.updateBinRanges(frequencyData.length, sampleRate);
+            this.previousSpectrum = null;
+        }
+        
+        if (!this.previousSpectrum) {
+            this.previousSpectrum = new Uint8Array(frequencyData);
+            return [];
+        }
+        
+        const events = [];
+        let totalFlux = 0;
+        
+        this.binRanges.forEach((range, index) => {
+            // Half-wave rectified spectral flux, normalized 0-1
+            let flux = 0;
+            for (let i = range.start; i < range.end; i++) {
+                const diff = frequencyData[i] - this.previousSpectrum[i];
+                if (diff > 0) flux += diff;
+            }
+            flux /= (range.end - range.start) * 255;
+            totalFlux += flux;
+            
+            const state = this.bandState[index];
+            const threshold = this.getThreshold(state.history);
+            state.flux = flux;
+            state.threshold = threshold;
+            
+            if (flux > threshold && time - state.lastOnsetTime >= this.minInterval) {
+                state.lastOnsetTime = time;
+                
+                const event = {
+                    band: state.name,
+                    strength: Math.min(1, (flux - threshold) / threshold),
+                    flux,
+                    time
+                };
+                events.push({ type: 'onset', ...event });
+                
+                if (state.name === this.beatBand) {
+                    events.push({ type: 'beat', ...event });
+                }
+            }
+            
+            state.history.push(flux);
+            if (state.history.length > this.historySize) {
+                state.history.shift();
+            }
+        });
+        
+        this.envelope = totalFlux / this.binRanges.length;
+        this.previousSpectrum.set(frequencyData);
+        
+        return events;
+    }
+
+    /**
+     * Adaptive threshold: mean plus a multiple of the standard deviation
+     * of recent flux values
+     */
+    getThreshold(history) {
+        if (history.length === 0) return Infinity;
+        
+        const mean = history.reduce((a, b) => a + b, 0) / history.length;
+        const variance = history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / history.length;
+        
+        return Math.max(this.minThreshold, mean + this.thresholdMultiplier * Math.sqrt(variance));
+    }
+}
\ No newline at end of file
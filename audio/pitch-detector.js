@@ -0,0 +1,174 @@
+/**
+ * Pitch Detector
+ * Fundamental frequency estimation on time-domain samples using the YIN
+ * algorithm, plus note/chroma helpers for musical color mapping
+ */
+class PitchDetector {
+    constructor(options = {}) {
+        this.minFrequency = options.minFrequency || 60;
+        this.maxFrequency = options.maxFrequency || 2000;
+        this.threshold = options.threshold || 0.15; // YIN absolute threshold
+        this.minRms = options.minRms || 0.01; // Ignore near-silent frames
+        this.referenceA4 = options.referenceA4 || 440;
+        
+        // Keep the last confident pitch for a few frames to avoid color flicker
+        this.minConfidence = options.minConfidence || 0.85;
+        this.holdFrames = options.holdFrames || 15;
+        this.current = null;
+        this.framesSincePitch = Infinity;
+        
+        this.buffer = null;
+        this.difference = null;
+    }
+
+    /**
+     * Detect pitch for the current frame and update the held result
+     * Returns the current pitch or null when none has been heard recently
+     */
+    update(samples, sampleRate) {
+        const result = this.detect(samples, sampleRate);
+        
+        if (result && result.confidence >= this.minConfidence) {
+            this.current = result;
+            this.framesSincePitch = 0;
+        } else if (++this.framesSincePitch > this.holdFrames) {
+            this.current = null;
+        }
+        
+        return this.current;
+    }
+
+    /**
+     * Forget the held pitch
+     */
+    reset() {
+        this.current = null;
+        this.framesSincePitch = Infinity;
+    }
+
+    /**
+     * Detect the fundamental frequency of a block of samples
+     * Accepts float samples (-1..1) or byte samples (0..255, centered at 128)
+     * Returns { frequency, confidence, midi, note, octave, cents, pitchClass } or null
+     */
+    detect(samples, sampleRate) {
+        if (!samples || samples.length < 2) return null;
+        
+        const buffer = this.toFloat(samples);
+        if (PitchDetector.getRms(buffer) < this.minRms) return null;
+        
+        const windowSize = Math.floor(buffer.length / 2);
+        const minTau = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const maxTau = Math.min(windowSize - 1, Math.ceil(sampleRate / this.minFrequency));
+        if (maxTau <= minTau) return null;
+        
+        if (!this.difference || this.difference.length !== maxTau + 1) {
+            this.difference = new Float32Array(maxTau + 1);
+        }
+        const difference = this.difference;
+        
+        // Step 1-2: difference function
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = buffer[i] - buffer[i + tau];
+                sum += delta * delta;
+            }
+            difference[tau] = sum;
+        }
+        
+        // Step 3: cumulative mean normalized difference
+        difference[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            runningSum += difference[tau];
+            difference[tau] = runningSum > 0 ? difference[tau] * tau / runningSum : 1;
+        }
+        
+        // Step 4: first dip below the threshold, followed to its local minimum
+        let tauEstimate = -1;
+        for (let tau = minTau; tau <= maxTau; tau++) {
+            if (difference[tau] < this.threshold) {
+                while (tau + 1 <= maxTau && difference[tau + 1] < difference[tau]) {
+                    tau++;
+                }
+                tauEstimate = tau;
+                break;
+            }
+        }
+        
+        if (tauEstimate === -1) return null;
+        
+        // Step 5: parabolic interpolation
+        let betterTau = tauEstimate;
+        if (tauEstimate > 1 && tauEstimate < maxTau) {
+            const s0 = difference[tauEstimate - 1];
+            const s1 = difference[tauEstimate];
+            const s2 = difference[tauEstimate + 1];
+            const denominator = 2 * (2 * s1 - s2 - s0);
+            if (denominator !== 0) {
+                betterTau += (s2 - s0) / denominator;
+            }
+        }
+        
+        const frequency = sampleRate / betterTau;
+        return {
+            frequency,
+            confidence: Math.max(0, Math.min(1, 1 - difference[tauEstimate])),
+            ...this.getNoteInfo(frequency)
+        };
+    }
+
+    /**
+     * Convert byte time-domain data to floats, reusing an internal buffer
+     */
+    toFloat(samples) {
+        if (samples instanceof Float32Array) return samples;
+        
+        if (!this.buffer || this.buffer.length !== samples.length) {
+            this.buffer = new Float32Array(samples.length);
+        }
+        for (let i = 0; i < samples.length; i++) {
+            this.buffer[i] = (samples[i] - 128) / 128;
+        }
+        return this.buffer;
+    }
+
+    /**
+     * Note name, octave, cents offset and pitch class (0 = C) for a frequency
+     */
+    getNoteInfo(frequency) {
+        const midiExact = 69 + 12 * Math.log2(frequency / this.referenceA4);
+        const midi = Math.round(midiExact);
+        const pitchClass = ((midi % 12) + 12) % 12;
+        
+        return {
+            midi,
+            note: PitchDetector.NOTE_NAMES[pitchClass],
+            octave: Math.floor(midi / 12) - 1,
+            cents: Math.round((midiExact - midi) * 100) || 0,
+            pitchClass
+        };
+    }
+
+    /**
+     * Root mean square level of a block of samples
+     */
+    static getRms(buffer) {
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sum += buffer[i] * buffer[i];
+        }
+        return Math.sqrt(sum / buffer.length);
+    }
+
+    /**
+     * Map a pitch class (0 = C ... 11 = B) to a hue
+     * Notes a fifth apart are neighbours on the color wheel, so related keys get related colors
+     */
+    static pitchClassToHue(pitchClass) {
+        return ((Math.round(pitchClass) * 7) % 12) * 30;
+    }
+}
+
+PitchDetector.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Section Detector
+ * Follows short- and long-term loudness and bass energy to spot changes of
+ * musical section: drops (energy and bass surge), breakdowns (energy or bass
+ * falls away) and sustained shifts of overall energy. Time-based averages make
+ * it independent of how often it is fed.
+ */
+class SectionDetector {
+    constructor(options = {}) {
+        // Averaging windows (seconds): current level and section baseline
+        this.shortWindow = options.shortWindow || 1.5;
+        this.longWindow = options.longWindow || 12;
+        
+        // Ratios of current level to baseline that mark a section change
+        this.dropRatio = options.dropRatio || 1.6;
+        this.breakdownRatio = options.breakdownRatio || 0.5;
+        this.shiftRatio = options.shiftRatio || 1.3;
+        this.shiftHold = options.shiftHold || 4; // Seconds a shift has to last
+        this.minGap = options.minGap || 4; // Seconds between reported sections
+        
+        // Seconds of audio before the baseline is trusted, and the level treated as silence
+        this.warmup = options.warmup || 4;
+        this.minLevel = options.minLevel || 0.03;
+        
+        this.reset();
+    }
+
+    /**
+     * Forget the baseline (new source, seek or restart)
+     */
+    reset() {
+        this.startTime = null;
+        this.lastTime = null;
+        this.shiftStart = null;
+        this.lastSectionTime = -Infinity;
+        
+        this.energy = 0;
+        this.energyBaseline = 0;
+        this.bass = 0;
+        this.bassBaseline = 0;
+    }
+
+    /**
+     * Feed an analysis frame (unnormalized, so level changes are not evened out)
+     * Returns a section event { type: 'drop' | 'breakdown' | 'shift', direction, strength, time } or null
+     */
+    update(frame) {
+        const time = frame.time;
+        const energy = frame.volume;
+        const bass = (frame.bands.sub + frame.bands.bass) / 2;
+        
+        if (this.lastTime === null || time < this.lastTime) {
+            this.reset();
+            this.startTime = time;
+            this.lastTime = time;
+            this.energy = this.energyBaseline = energy;
+            this.bass = this.bassBaseline = bass;
+            return null;
+        }
+        
+        const dt = Math.min(0.5, time - this.lastTime);
+        this.lastTime = time;
+        if (dt === 0) return null;
+        
+        // Right after a section change the baseline follows quickly, so it settles on the new level
+        const shortAmount = 1 - Math.exp(-dt / this.shortWindow);
+        const baselineAmount = time - this.lastSectionTime < this.minGap ? shortAmount : 1 - Math.exp(-dt / this.longWindow);
+        
+        this.energy += (energy - this.energy) * shortAmount;
+        this.bass += (bass - this.bass) * shortAmount;
+        this.energyBaseline += (energy - this.energyBaseline) * baselineAmount;
+        this.bassBaseline += (bass - this.bassBaseline) * baselineAmount;
+        
+        if (time - this.startTime < this.warmup || time - this.lastSectionTime < this.minGap) return null;
+        
+        // Nothing to compare while both the section and the current level are silent
+        if (this.energyBaseline < this.minLevel && this.energy < this.minLevel) {
+            this.shiftStart = null;
+            return null;
+        }
+        
+        const energyRatio = this.energy / Math.max(this.minLevel, this.energyBaseline);
+        const bassRatio = this.bass / Math.max(this.minLevel, this.bassBaseline);
+        
+        if (energyRatio >= this.dropRatio && bassRatio >= this.dropRatio) {
+            return this.startSection('drop', energyRatio, time);
+        }
+        if (energyRatio <= this.breakdownRatio || (bassRatio <= this.breakdownRatio && this.bassBaseline >= this.minLevel)) {
+            return this.startSection('breakdown', Math.min(energyRatio, bassRatio), time);
+        }
+        
+        // Smaller changes only count once they have lasted
+        if (energyRatio >= this.shiftRatio || energyRatio <= 1 / this.shiftRatio) {
+            if (this.shiftStart === null) {
+                this.shiftStart = time;
+            } else if (time - this.shiftStart >= this.shiftHold) {
+                return this.startSection('shift', energyRatio, time);
+            }
+        } else {
+            this.shiftStart = null;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Adopt the current level as the new section's baseline and describe the change
+     */
+    startSection(type, ratio, time) {
+        this.energyBaseline = this.energy;
+        this.bassBaseline = this.bass;
+        this.shiftStart = null;
+        this.lastSectionTime = time;
+        
+        return {
+            type,
+            direction: ratio >= 1 ? 'up' : 'down',
+            strength: Math.min(1, Math.abs(Math.log2(ratio))), // 1 = doubled or halved
+            time
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * Stereo Analyzer
+ * Derives mid/side signals, channel levels, balance, width and phase
+ * correlation from the left and right time-domain buffers
+ */
+class StereoAnalyzer {
+    constructor(options = {}) {
+        // Level smoothing (0 = none, closer to 1 = slower)
+        this.smoothing = options.smoothing || 0.8;
+        
+        // Mid = (L + R) / 2, side = (L - R) / 2
+        this.mid = null;
+        this.side = null;
+        
+        this.reset();
+    }
+
+    /**
+     * Feed one frame of float time-domain samples per channel
+     */
+    update(left, right) {
+        if (!this.mid || this.mid.length !== left.length) {
+            this.mid = new Float32Array(left.length);
+            this.side = new Float32Array(left.length);
+        }
+        
+        let sumLeft = 0;
+        let sumRight = 0;
+        let sumMid = 0;
+        let sumSide = 0;
+        let sumProduct = 0;
+        
+        for (let i = 0; i < left.length; i++) {
+            const l = left[i];
+            const r = right[i];
+            const m = (l + r) * 0.5;
+            const s = (l - r) * 0.5;
+            
+            this.mid[i] = m;
+            this.side[i] = s;
+            
+            sumLeft += l * l;
+            sumRight += r * r;
+            sumMid += m * m;
+            sumSide += s * s;
+            sumProduct += l * r;
+        }
+        
+        const count = left.length || 1;
+        const leftRms = Math.sqrt(sumLeft / count);
+        const rightRms = Math.sqrt(sumRight / count);
+        const midRms = Math.sqrt(sumMid / count);
+        const sideRms = Math.sqrt(sumSide / count);
+        
+        // Silence counts as centred, mono and in phase
+        const channelSum = leftRms + rightRms;
+        const balance = channelSum > 1e-5 ? (rightRms - leftRms) / channelSum : 0;
+        const width = midRms + sideRms > 1e-5 ? sideRms / (midRms + sideRms) : 0;
+        const energy = Math.sqrt(sumLeft * sumRight);
+        const correlation = energy > 1e-10 ? sumProduct / energy : 1;
+        
+        this.left = this.smooth(this.left, leftRms);
+        this.right = this.smooth(this.right, rightRms);
+        this.midLevel = this.smooth(this.midLevel, midRms);
+        this.sideLevel = this.smooth(this.sideLevel, sideRms);
+        this.balance = this.smooth(this.balance, balance);
+        this.width = this.smooth(this.width, width);
+        this.correlation = this.smooth(this.correlation, correlation);
+        
+        return this.getState();
+    }
+
+    /**
+     * Get smoothed stereo state
+     * Levels are RMS (0-1), balance -1 (left) to 1 (right), width 0 (mono) to 1 (out of phase),
+     * correlation -1 (out of phase) to 1 (mono)
+     */
+    getState() {
+        return {
+            left: this.left,
+            right: this.right,
+            mid: this.midLevel,
+            side: this.sideLevel,
+            balance: this.balance,
+            width: this.width,
+            correlation: this.correlation
+        };
+    }
+
+    /**
+     * One-pole smoothing
+     */
+    smooth(previous, value) {
+        return previous * this.smoothing + value * (1 - this.smoothing);
+    }
+
+    /**
+     * Forget smoothed values
+     */
+    reset() {
+        this.left = 0;
+        this.right = 0;
+        this.midLevel = 0;
+        this.sideLevel = 0;
+        this.balance = 0;
+        this.width = 0;
+        this.correlation = 1;
+    }
+}
\ No newline at end of file
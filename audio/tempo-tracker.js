@@ -0,0 +1,232 @@
+/**
+ * Tempo Tracker
+ * Estimates BPM by autocorrelating the onset envelope and keeps a
+ * continuous beat clock (beat position and phase) locked to the music
+ */
+class TempoTracker {
+    constructor(options = {}) {
+        this.minBpm = options.minBpm || 60;
+        this.maxBpm = options.maxBpm || 180;
+        this.preferredBpm = options.preferredBpm || 120;
+        this.beatsPerBar = options.beatsPerBar || 4;
+        
+        // Envelope history and analysis grid
+        this.windowSeconds = options.windowSeconds || 6;
+        this.sampleRate = options.sampleRate || 100; // Envelope resampling rate (Hz)
+        this.analysisInterval = options.analysisInterval || 0.5; // Seconds between estimates
+        this.minConfidence = options.minConfidence || 0.25;
+        
+        // How strongly the beat clock is pulled towards the estimated phase
+        this.phaseCorrection = options.phaseCorrection || 0.05;
+        
+        this.reset();
+    }
+
+    /**
+     * Clear history and tempo estimate
+     */
+    reset() {
+        this.samples = [];
+        this.lastTime = null;
+        this.lastAnalysisTime = -Infinity;
+        
+        this.bpm = 0;
+        this.confidence = 0;
+        this.beatAnchor = 0; // A time (seconds) at which a beat occurred
+        this.beatPosition = 0; // Continuous beat counter
+    }
+
+    /**
+     * Add one onset envelope value at the given time (seconds)
+     */
+    update(envelope, time) {
+        const dt = this.lastTime === null ? 0 : Math.max(0, Math.min(0.25, time - this.lastTime));
+        this.lastTime = time;
+        
+        this.samples.push({ time, value: envelope });
+        while (this.samples.length && time - this.samples[0].time > this.windowSeconds) {
+            this.samples.shift();
+        }
+        
+        if (time - this.lastAnalysisTime >= this.analysisInterval) {
+            this.lastAnalysisTime = time;
+            this.analyze(time);
+        }
+        
+        if (this.bpm > 0) {
+            this.beatPosition += dt * this.bpm / 60;
+            
+            // Nudge the clock towards the estimated beat phase
+            const period = 60 / this.bpm;
+            const targetPhase = TempoTracker.fract((time - this.beatAnchor) / period);
+            let error = targetPhase - TempoTracker.fract(this.beatPosition);
+            if (error > 0.5) error -= 1;
+            if (error < -0.5) error += 1;
+            this.beatPosition += error * this.phaseCorrection * this.confidence;
+        }
+        
+        return this.getState();
+    }
+
+    /**
+     * Resample the envelope onto a fixed grid ending at the given time
+     */
+    resample(endTime) {
+        const count = Math.floor(this.windowSeconds * this.sampleRate);
+        const grid = new Float32Array(count);
+        const step = 1 / this.sampleRate;
+        let sampleIndex = 0;
+        
+        for (let i = 0; i < count; i++) {
+            const t = endTime - (count - 1 - i) * step;
+            
+            while (sampleIndex < this.samples.length - 1 && this.samples[sampleIndex + 1].time < t) {
+                sampleIndex++;
+            }
+            
+            const a = this.samples[sampleIndex];
+            const b = this.samples[Math.min(sampleIndex + 1, this.samples.length - 1)];
+            if (t <= a.time || a === b) {
+                grid[i] = t < a.time ? 0 : a.value;
+            } else {
+                const fraction = Math.min(1, (t - a.time) / (b.time - a.time));
+                grid[i] = a.value + (b.value - a.value) * fraction;
+            }
+        }
+        
+        // Remove the mean so autocorrelation is not dominated by the DC level
+        const mean = grid.reduce((sum, value) => sum + value, 0) / count;
+        for (let i = 0; i < count; i++) {
+            grid[i] -= mean;
+        }
+        
+        return grid;
+    }
+
+    /**
+     * Estimate BPM and beat anchor from the envelope history
+     */
+    analyze(time) {
+        if (this.samples.length < 2 || time - this.samples[0].time < this.windowSeconds * 0.5) return;
+        
+        const envelope = this.resample(time);
+        const minLag = Math.floor(60 / this.maxBpm * this.sampleRate);
+        const maxLag = Math.ceil(60 / this.minBpm * this.sampleRate);
+        
+        let energy = 0;
+        for (let i = 0; i < envelope.length; i++) {
+            energy += envelope[i] * envelope[i];
+        }
+        if (energy <= 0) return;
+        
+        // Autocorrelation weighted towards the preferred tempo (log-gaussian)
+        const correlation = new Float32Array(maxLag + 2);
+        let bestLag = 0;
+        let bestScore = 0;
+        
+        for (let lag = minLag; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) {
+                sum += envelope[i] * envelope[i - lag];
+            }
+            correlation[lag] = sum / energy;
+            
+            if (lag > maxLag) continue;
+            
+            const bpm = 60 * this.sampleRate / lag;
+            const octaves = Math.log2(bpm / this.preferredBpm);
+            const score = correlation[lag] * Math.exp(-0.5 * octaves * octaves);
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        
+        if (bestLag === 0) {
+            this.confidence *= 0.9;
+            return;
+        }
+        
+        // Parabolic interpolation for a fractional lag
+        let lag = bestLag;
+        if (bestLag > minLag) {
+            const left = correlation[bestLag - 1];
+            const center = correlation[bestLag];
+            const right = correlation[bestLag + 1];
+            const denominator = left - 2 * center + right;
+            if (denominator !== 0) {
+                lag += Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / denominator));
+            }
+        }
+        
+        const bpm = 60 * this.sampleRate / lag;
+        const confidence = Math.max(0, Math.min(1, correlation[bestLag]));
+        
+        // Smooth the estimate, but jump when the tempo clearly changed
+        if (this.bpm === 0 || Math.abs(bpm - this.bpm) / this.bpm > 0.08) {
+            this.bpm = bpm;
+        } else {
+            this.bpm += (bpm - this.bpm) * 0.3;
+        }
+        this.confidence += (confidence - this.confidence) * 0.5;
+        
+        this.beatAnchor = this.findBeatAnchor(envelope, Math.round(lag), time);
+    }
+
+    /**
+     * Find the beat offset that best lines up with envelope peaks (comb filter)
+     */
+    findBeatAnchor(envelope, lag, time) {
+        let bestOffset = 0;
+        let bestScore = -Infinity;
+        const last = envelope.length - 1;
+        
+        for (let offset = 0; offset < lag; offset++) {
+            let score = 0;
+            for (let i = last - offset; i >= 0; i -= lag) {
+                score += envelope[i];
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestOffset = offset;
+            }
+        }
+        
+        return time - bestOffset / this.sampleRate;
+    }
+
+    /**
+     * Whether the estimate is confident enough to drive animation
+     */
+    isLocked() {
+        return this.bpm > 0 && this.confidence >= this.minConfidence;
+    }
+
+    /**
+     * Current tempo state
+     */
+    getState() {
+        const beatPosition = this.beatPosition;
+        const beatIndex = Math.floor(beatPosition);
+        
+        return {
+            bpm: this.bpm,
+            confidence: this.confidence,
+            locked: this.isLocked(),
+            beatPosition,
+            phase: TempoTracker.fract(beatPosition),
+            beat: ((beatIndex % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar,
+            bar: Math.floor(beatPosition / this.beatsPerBar),
+            barPhase: TempoTracker.fract(beatPosition / this.beatsPerBar),
+            beatsPerBar: this.beatsPerBar
+        };
+    }
+
+    /**
+     * Fractional part of a number (always positive)
+     */
+    static fract(value) {
+        return value - Math.floor(value);
+    }
+}
\ No newline at end of file
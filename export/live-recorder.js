@@ -0,0 +1,143 @@
+/**
+ * Live Recorder
+ * Records the visualizer and the audio input to WebM in real time with MediaRecorder.
+ * Frames are copied into a recorder-owned canvas, so recording continues when the
+ * active visualizer (and therefore the source canvas) changes.
+ */
+class LiveRecorder {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.canvas = null;
+        this.ctx = null;
+        this.audioDestination = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.startTime = 0;
+        this.mimeType = null;
+    }
+
+    /**
+     * Start recording; width and height fix the video size
+     * Options: width, height, videoBitsPerSecond, audioBitsPerSecond
+     */
+    start(options) {
+        if (this.isRecording()) return;
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('Recording is not supported in this browser');
+        }
+        if (!this.audioEngine.audioContext) {
+            throw new Error('Start audio before recording');
+        }
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.max(2, Math.round(options.width / 2) * 2); // Encoders prefer even sizes
+        this.canvas.height = Math.max(2, Math.round(options.height / 2) * 2);
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Mix the analysed input (mic, demo or file) into the recording
+        this.audioDestination = this.audioEngine.createRecordingDestination();
+        
+        let stream = null;
+        try {
+            stream = new MediaStream([
+                ...this.canvas.captureStream().getVideoTracks(),
+                ...this.audioDestination.stream.getAudioTracks()
+            ]);
+            
+            this.mimeType = LiveRecorder.getSupportedMimeType();
+            this.mediaRecorder = new MediaRecorder(stream, {
+                mimeType: this.mimeType || undefined,
+                videoBitsPerSecond: options.videoBitsPerSecond,
+                audioBitsPerSecond: options.audioBitsPerSecond || 128000
+            });
+            
+            this.chunks = [];
+            this.mediaRecorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) {
+                    this.chunks.push(e.data);
+                }
+            });
+            
+            this.mediaRecorder.start(1000);
+        } catch (error) {
+            // Unsupported type or bitrate: leave nothing connected behind
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            this.release();
+            throw error;
+        }
+        
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Stop recording, resolves with the recorded Blob
+     */
+    stop() {
+        if (!this.isRecording()) return Promise.resolve(null);
+        
+        return new Promise((resolve) => {
+            const recorder = this.mediaRecorder;
+            recorder.addEventListener('stop', () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.release();
+                
+                resolve(new Blob(this.chunks, { type: this.mimeType || 'video/webm' }));
+                this.chunks = [];
+            }, { once: true });
+            
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Disconnect the audio and drop the recording canvas and recorder
+     */
+    release() {
+        this.audioEngine.releaseRecordingDestination(this.audioDestination);
+        this.audioDestination = null;
+        this.mediaRecorder = null;
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * Whether a recording is in progress
+     */
+    isRecording() {
+        return Boolean(this.mediaRecorder) && this.mediaRecorder.state !== 'inactive';
+    }
+
+    /**
+     * Seconds since recording started
+     */
+    getElapsed() {
+        return this.isRecording() ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    /**
+     * Copy a rendered visualizer frame into the recording, scaled to fit
+     */
+    drawFrame(source) {
+        if (!this.ctx || !source || !source.width || !source.height) return;
+        
+        const scale = Math.min(this.canvas.width / source.width, this.canvas.height / source.height);
+        const width = source.width * scale;
+        const height = source.height * scale;
+        
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(source, (this.canvas.width - width) / 2, (this.canvas.height - height) / 2, width, height);
+    }
+
+    /**
+     * First WebM type this browser can record
+     */
+    static getSupportedMimeType() {
+        const types = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+}
\ No newline at end of file
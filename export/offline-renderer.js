@@ -0,0 +1,287 @@
+/**
+ * Offline Renderer
+ * Renders an audio file through a visualizer frame by frame, independent of
+ * real-time performance, and writes a WebM video or a PNG sequence plus WAV
+ */
+class OfflineRenderer {
+    constructor(options) {
+        this.file = options.file;
+        this.visualizer = options.visualizer; // Live visualizer used as a template
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        this.fps = options.fps || 30;
+        this.format = options.format || 'webm'; // 'webm' or 'png'
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.engineOptions = options.engineOptions || {};
+        this.videoBitrate = options.videoBitrate || Math.round(this.width * this.height * this.fps * 0.08);
+        this.audioBitrate = options.audioBitrate || 160000;
+        this.onProgress = options.onProgress || null; // (progress 0-1, frameIndex, frameCount)
+        
+        // Visualizers animate per rendered frame and are tuned for 60 fps, so analysis
+        // and rendering tick at least this often and frames are sampled from the ticks
+        this.tickRate = Math.max(60, this.fps);
+        
+        // Opus only encodes at 48 kHz, so the file is decoded at that rate
+        this.sampleRate = 48000;
+        
+        this.cancelled = false;
+        this.outputCanvas = null;
+        this.outputContext = null;
+        this.videoEncoder = null;
+        this.encoderError = null;
+        this.webmWriter = null;
+        this.tarWriter = null;
+    }
+
+    /**
+     * Render the whole file, returns a Blob (video/webm or application/x-tar)
+     */
+    async render() {
+        const audioBuffer = await this.decode();
+        const engine = new AudioEngine(this.engineOptions);
+        const visualizer = this.createVisualizer(this.visualizer);
+        
+        this.outputCanvas = document.createElement('canvas');
+        this.outputCanvas.width = this.width;
+        this.outputCanvas.height = this.height;
+        this.outputContext = this.outputCanvas.getContext('2d');
+        
+        try {
+            engine.initOffline(audioBuffer);
+            visualizer.setAudioEngine(engine); // The layer compositor pulls each layer's frame itself
+            
+            if (this.format === 'webm') {
+                await this.startWebM(audioBuffer);
+            } else {
+                this.tarWriter = new TarWriter();
+            }
+            
+            await this.renderFrames(engine, visualizer, audioBuffer.duration);
+            
+            return this.format === 'webm' ? await this.finishWebM(audioBuffer) : this.finishImageSequence(audioBuffer);
+        } finally {
+            if (this.videoEncoder && this.videoEncoder.state !== 'closed') {
+                this.videoEncoder.close();
+            }
+            visualizer.destroy();
+            engine.destroy();
+        }
+    }
+
+    /**
+     * Stop rendering; render() rejects with an 'Export cancelled' error
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Decode the file at the export sample rate
+     */
+    async decode() {
+        const arrayBuffer = await this.file.arrayBuffer();
+        const context = new OfflineAudioContext(2, 1, this.sampleRate);
+        return context.decodeAudioData(arrayBuffer);
+    }
+
+    /**
+     * Create a fresh, seeded instance of a template visualizer at the export size
+     */
+    createVisualizer(template) {
+        const visualizer = new template.constructor({
+            container: document.createElement(template.container.tagName),
+            width: this.width,
+            height: this.height,
+            seed: this.seed
+        });
+        
+        visualizer.setSensitivity(template.sensitivity);
+        visualizer.setColorMode(template.colorMode);
+        visualizer.setTempoSync(template.tempoSync);
+        visualizer.setStereoMode(template.stereoMode);
+        visualizer.setAnalysisSettings(template.analysisSettings);
+        visualizer.copySettingsFrom(template, (child) => this.createVisualizer(child));
+        
+        return visualizer;
+    }
+
+    /**
+     * Step the offline audio graph tick by tick, rendering and capturing frames
+     * The context is suspended at every tick so the analyser sees exactly the audio up to that time
+     */
+    renderFrames(engine, visualizer, duration) {
+        const context = engine.audioContext;
+        const tickCount = Math.ceil(duration * this.tickRate);
+        const frameCount = Math.ceil(duration * this.fps);
+        let lastFrameIndex = -1;
+        
+        return new Promise((resolve, reject) => {
+            let failed = false;
+            
+            // Stop scheduling suspends and let the context run to the end so startRendering settles
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                reject(error);
+                context.resume().catch(() => {});
+            };
+            
+            const tick = async (index) => {
+                if (failed) return;
+                
+                try {
+                    if (this.cancelled) throw new Error('Export cancelled');
+                    if (this.encoderError) throw this.encoderError;
+                    
+                    // Analyse at the end of each tick so the analyser window is centred near the frame
+                    const time = (index + 1) / this.tickRate;
+                    visualizer.renderFrame(engine.getFrame(time * 1000, visualizer.analysisSettings));
+                    
+                    const frameIndex = Math.floor(index * this.fps / this.tickRate);
+                    if (frameIndex !== lastFrameIndex) {
+                        lastFrameIndex = frameIndex;
+                        await this.captureFrame(visualizer.getCanvas(), frameIndex);
+                        
+                        if (this.onProgress) {
+                            this.onProgress((frameIndex + 1) / frameCount, frameIndex, frameCount);
+                        }
+                    }
+                    
+                    if (index + 1 < tickCount) {
+                        context.suspend((index + 2) / this.tickRate).then(() => tick(index + 1)).catch(fail);
+                    }
+                    context.resume().catch(fail);
+                } catch (error) {
+                    fail(error);
+                }
+            };
+            
+            context.suspend(1 / this.tickRate).then(() => tick(0)).catch(fail);
+            context.startRendering().then(() => resolve(), fail);
+        });
+    }
+
+    /**
+     * Composite the visualizer onto an opaque frame and hand it to the writer
+     */
+    async captureFrame(canvas, frameIndex) {
+        this.outputContext.fillStyle = '#000000';
+        this.outputContext.fillRect(0, 0, this.width, this.height);
+        this.outputContext.drawImage(canvas, 0, 0, this.width, this.height);
+        
+        if (this.format === 'webm') {
+            const videoFrame = new VideoFrame(this.outputCanvas, {
+                timestamp: Math.round(frameIndex * 1e6 / this.fps),
+                duration: Math.round(1e6 / this.fps)
+            });
+            this.videoEncoder.encode(videoFrame, { keyFrame: frameIndex % (this.fps * 2) === 0 });
+            videoFrame.close();
+            
+            // Let the encoder catch up instead of queueing the whole video in memory
+            while (this.videoEncoder.encodeQueueSize > 8) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        } else {
+            const image = await new Promise(resolve => this.outputCanvas.toBlob(resolve, 'image/png'));
+            const name = `frames/frame_${String(frameIndex + 1).padStart(6, '0')}.png`;
+            this.tarWriter.addFile(name, image);
+        }
+    }
+
+    /**
+     * Configure the VP8 video encoder and WebM muxer
+     */
+    async startWebM(audioBuffer) {
+        if (typeof VideoEncoder === 'undefined' || typeof AudioEncoder === 'undefined') {
+            throw new Error('WebM export requires WebCodecs - use the PNG sequence instead');
+        }
+        
+        const config = {
+            codec: 'vp8',
+            width: this.width,
+            height: this.height,
+            bitrate: this.videoBitrate,
+            framerate: this.fps
+        };
+        const support = await VideoEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            throw new Error(`VP8 encoding at ${this.width}x${this.height} is not supported`);
+        }
+        
+        this.webmWriter = new WebMWriter({
+            width: this.width,
+            height: this.height,
+            frameRate: this.fps,
+            sampleRate: audioBuffer.sampleRate,
+            channels: Math.min(2, audioBuffer.numberOfChannels)
+        });
+        
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk) => this.webmWriter.addVideoChunk(chunk),
+            error: (error) => { this.encoderError = error; }
+        });
+        this.videoEncoder.configure(config);
+    }
+
+    /**
+     * Flush video, encode the audio track and mux
+     */
+    async finishWebM(audioBuffer) {
+        await this.videoEncoder.flush();
+        this.videoEncoder.close();
+        
+        await this.encodeAudio(audioBuffer);
+        if (this.encoderError) throw this.encoderError;
+        
+        return this.webmWriter.finalize();
+    }
+
+    /**
+     * Encode the decoded audio to Opus in one-second chunks
+     */
+    async encodeAudio(audioBuffer) {
+        const channels = Math.min(2, audioBuffer.numberOfChannels);
+        const sampleRate = audioBuffer.sampleRate;
+        
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => this.webmWriter.addAudioChunk(chunk, metadata),
+            error: (error) => { this.encoderError = error; }
+        });
+        encoder.configure({
+            codec: 'opus',
+            sampleRate,
+            numberOfChannels: channels,
+            bitrate: this.audioBitrate
+        });
+        
+        for (let offset = 0; offset < audioBuffer.length; offset += sampleRate) {
+            const length = Math.min(sampleRate, audioBuffer.length - offset);
+            const data = new Float32Array(length * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                data.set(audioBuffer.getChannelData(channel).subarray(offset, offset + length), channel * length);
+            }
+            
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: length,
+                numberOfChannels: channels,
+                timestamp: Math.round(offset / sampleRate * 1e6),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        
+        await encoder.flush();
+        encoder.close();
+    }
+
+    /**
+     * Add the soundtrack and close the archive
+     */
+    finishImageSequence(audioBuffer) {
+        this.tarWriter.addFile('audio.wav', WavEncoder.encode(audioBuffer));
+        return this.tarWriter.toBlob();
+    }
+}
\ No newline at end of file
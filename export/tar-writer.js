@@ -0,0 +1,66 @@
+/**
+ * Tar Writer
+ * Builds an uncompressed ustar archive from Blobs or byte arrays without
+ * copying file contents (the archive is assembled as a Blob of parts)
+ */
+class TarWriter {
+    constructor() {
+        this.parts = [];
+        this.mtime = Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * Add a file; name is limited to 100 bytes
+     */
+    addFile(name, data) {
+        const size = data instanceof Blob ? data.size : data.byteLength;
+        
+        this.parts.push(this.createHeader(name, size), data);
+        
+        // File data is padded to a whole 512-byte block
+        const padding = (512 - size % 512) % 512;
+        if (padding > 0) {
+            this.parts.push(new Uint8Array(padding));
+        }
+    }
+
+    /**
+     * Create a 512-byte ustar header block
+     */
+    createHeader(name, size) {
+        const header = new Uint8Array(512);
+        
+        TarWriter.writeField(header, 0, 100, name);
+        TarWriter.writeField(header, 100, 8, '0000644');
+        TarWriter.writeField(header, 108, 8, '0000000');
+        TarWriter.writeField(header, 116, 8, '0000000');
+        TarWriter.writeField(header, 124, 12, size.toString(8).padStart(11, '0'));
+        TarWriter.writeField(header, 136, 12, this.mtime.toString(8).padStart(11, '0'));
+        TarWriter.writeField(header, 156, 1, '0'); // Regular file
+        TarWriter.writeField(header, 257, 6, 'ustar');
+        TarWriter.writeField(header, 263, 2, '00');
+        
+        // Checksum is computed with the checksum field filled with spaces
+        header.fill(0x20, 148, 156);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        TarWriter.writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+        
+        return header;
+    }
+
+    /**
+     * Finish the archive, returns a Blob (application/x-tar)
+     */
+    toBlob() {
+        // Two empty blocks mark the end of the archive
+        return new Blob([...this.parts, new Uint8Array(1024)], { type: 'application/x-tar' });
+    }
+
+    /**
+     * Write an ASCII string into a fixed-width header field
+     */
+    static writeField(header, offset, length, text) {
+        const bytes = new TextEncoder().encode(text);
+        header.set(bytes.subarray(0, length), offset);
+    }
+}
\ No newline at end of file
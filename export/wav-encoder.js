@@ -0,0 +1,59 @@
+/**
+ * WAV Encoder
+ * Writes an AudioBuffer as a 16-bit PCM WAV file
+ */
+class WavEncoder {
+    /**
+     * Encode an AudioBuffer, returns a Blob (audio/wav)
+     */
+    static encode(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const frameCount = audioBuffer.length;
+        const blockAlign = channels * 2;
+        const dataSize = frameCount * blockAlign;
+        
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        
+        // RIFF header
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+        
+        // Format chunk
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, 16, true);
+        
+        // Interleaved samples
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+        let offset = 44;
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+        
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Write an ASCII string at a byte offset
+     */
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
\ No newline at end of file
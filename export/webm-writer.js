@@ -0,0 +1,375 @@
+/**
+ * WebM Writer
+ * Minimal EBML/Matroska muxer for encoded WebCodecs chunks:
+ * one VP8 video track and one Opus audio track, with cues for seeking
+ */
+class WebMWriter {
+    constructor(options) {
+        this.width = options.width;
+        this.height = options.height;
+        this.frameRate = options.frameRate;
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        
+        this.chunks = [];
+        this.audioCodecPrivate = null;
+        this.duration = 0; // Milliseconds
+    }
+
+    /**
+     * Add an EncodedVideoChunk from a VideoEncoder
+     */
+    addVideoChunk(chunk) {
+        this.addChunk(WebMWriter.VIDEO_TRACK, chunk, chunk.type === 'key');
+    }
+
+    /**
+     * Add an EncodedAudioChunk from an AudioEncoder
+     */
+    addAudioChunk(chunk, metadata) {
+        const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+        if (description && !this.audioCodecPrivate) {
+            this.audioCodecPrivate = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                : new Uint8Array(description).slice();
+        }
+        this.addChunk(WebMWriter.AUDIO_TRACK, chunk, true);
+    }
+
+    /**
+     * Copy chunk data out of the encoder and queue it for muxing
+     */
+    addChunk(trackNumber, chunk, keyFrame) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        
+        this.chunks.push({
+            trackNumber,
+            timecode: Math.round(chunk.timestamp / 1000),
+            keyFrame,
+            data
+        });
+        this.duration = Math.max(this.duration, (chunk.timestamp + (chunk.duration || 0)) / 1000);
+    }
+
+    /**
+     * Mux all queued chunks, returns a Blob (video/webm)
+     */
+    finalize() {
+        const E = WebMWriter.element;
+        const ids = WebMWriter.IDS;
+        
+        const chunks = this.chunks.slice().sort((a, b) => a.timecode - b.timecode || a.trackNumber - b.trackNumber);
+        const clusters = this.createClusters(chunks);
+        
+        const info = E(ids.Info, [
+            E(ids.TimecodeScale, WebMWriter.uint(1000000)),
+            E(ids.MuxingApp, WebMWriter.string('Audio Visualizer')),
+            E(ids.WritingApp, WebMWriter.string('Audio Visualizer')),
+            E(ids.Duration, WebMWriter.float(this.duration))
+        ]);
+        const tracks = this.createTracks();
+        
+        // Offsets are relative to the start of the segment data; the seek head has a
+        // fixed size because its positions are written as 8-byte integers
+        const seekHeadSize = this.createSeekHead(0, 0, 0).byteLength;
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.byteLength;
+        let position = tracksPosition + tracks.byteLength;
+        
+        const cuePoints = [];
+        clusters.forEach(cluster => {
+            if (cluster.cue) {
+                cuePoints.push(E(ids.CuePoint, [
+                    E(ids.CueTime, WebMWriter.uint(cluster.timecode)),
+                    E(ids.CueTrackPositions, [
+                        E(ids.CueTrack, WebMWriter.uint(WebMWriter.VIDEO_TRACK)),
+                        E(ids.CueClusterPosition, WebMWriter.uint(position))
+                    ])
+                ]));
+            }
+            position += cluster.element.byteLength;
+        });
+        
+        const children = [this.createSeekHead(infoPosition, tracksPosition, position), info, tracks];
+        clusters.forEach(cluster => children.push(cluster.element));
+        if (cuePoints.length > 0) {
+            children.push(E(ids.Cues, cuePoints));
+        }
+        
+        const header = E(ids.EBML, [
+            E(ids.EBMLVersion, WebMWriter.uint(1)),
+            E(ids.EBMLReadVersion, WebMWriter.uint(1)),
+            E(ids.EBMLMaxIDLength, WebMWriter.uint(4)),
+            E(ids.EBMLMaxSizeLength, WebMWriter.uint(8)),
+            E(ids.DocType, WebMWriter.string('webm')),
+            E(ids.DocTypeVersion, WebMWriter.uint(2)),
+            E(ids.DocTypeReadVersion, WebMWriter.uint(2))
+        ]);
+        const segment = E(ids.Segment, children);
+        
+        const parts = [];
+        WebMWriter.writeParts(header, parts);
+        WebMWriter.writeParts(segment, parts);
+        return new Blob(parts, { type: 'video/webm' });
+    }
+
+    /**
+     * Group chunks into clusters starting at video key frames
+     * Block timecodes are 16-bit offsets, so clusters are also split every 30 seconds
+     */
+    createClusters(chunks) {
+        const E = WebMWriter.element;
+        const ids = WebMWriter.IDS;
+        const clusters = [];
+        let current = null;
+        
+        const flush = () => {
+            if (!current) return;
+            clusters.push({
+                timecode: current.timecode,
+                cue: current.cue,
+                element: E(ids.Cluster, [E(ids.Timecode, WebMWriter.uint(current.timecode)), ...current.blocks])
+            });
+        };
+        
+        chunks.forEach(chunk => {
+            const videoKeyFrame = chunk.trackNumber === WebMWriter.VIDEO_TRACK && chunk.keyFrame;
+            if (!current || videoKeyFrame || chunk.timecode - current.timecode > 30000) {
+                flush();
+                current = { timecode: chunk.timecode, cue: videoKeyFrame, blocks: [] };
+            }
+            
+            const blockHeader = new Uint8Array(4);
+            const view = new DataView(blockHeader.buffer);
+            blockHeader[0] = 0x80 | chunk.trackNumber; // Track number as a 1-byte vint
+            view.setInt16(1, chunk.timecode - current.timecode);
+            blockHeader[3] = chunk.keyFrame ? 0x80 : 0;
+            
+            current.blocks.push(E(ids.SimpleBlock, [blockHeader, chunk.data]));
+        });
+        flush();
+        
+        return clusters;
+    }
+
+    /**
+     * Track entries for the video and audio streams
+     */
+    createTracks() {
+        const E = WebMWriter.element;
+        const ids = WebMWriter.IDS;
+        const codecPrivate = this.audioCodecPrivate || this.createOpusHead();
+        
+        // Pre-skip (samples at 48 kHz) tells players how much encoder delay to drop
+        const preSkip = codecPrivate[10] | (codecPrivate[11] << 8);
+        
+        return E(ids.Tracks, [
+            E(ids.TrackEntry, [
+                E(ids.TrackNumber, WebMWriter.uint(WebMWriter.VIDEO_TRACK)),
+                E(ids.TrackUID, WebMWriter.uint(WebMWriter.VIDEO_TRACK)),
+                E(ids.TrackType, WebMWriter.uint(1)),
+                E(ids.CodecID, WebMWriter.string('V_VP8')),
+                E(ids.DefaultDuration, WebMWriter.uint(Math.round(1e9 / this.frameRate))),
+                E(ids.Video, [
+                    E(ids.PixelWidth, WebMWriter.uint(this.width)),
+                    E(ids.PixelHeight, WebMWriter.uint(this.height))
+                ])
+            ]),
+            E(ids.TrackEntry, [
+                E(ids.TrackNumber, WebMWriter.uint(WebMWriter.AUDIO_TRACK)),
+                E(ids.TrackUID, WebMWriter.uint(WebMWriter.AUDIO_TRACK)),
+                E(ids.TrackType, WebMWriter.uint(2)),
+                E(ids.CodecID, WebMWriter.string('A_OPUS')),
+                E(ids.CodecPrivate, codecPrivate),
+                E(ids.CodecDelay, WebMWriter.uint(Math.round(preSkip / 48000 * 1e9))),
+                E(ids.SeekPreRoll, WebMWriter.uint(80000000)),
+                E(ids.Audio, [
+                    E(ids.SamplingFrequency, WebMWriter.float(this.sampleRate)),
+                    E(ids.Channels, WebMWriter.uint(this.channels))
+                ])
+            ])
+        ]);
+    }
+
+    /**
+     * Seek head pointing at the info, tracks and cues elements
+     */
+    createSeekHead(infoPosition, tracksPosition, cuesPosition) {
+        const E = WebMWriter.element;
+        const ids = WebMWriter.IDS;
+        const seek = (id, position) => E(ids.Seek, [
+            E(ids.SeekID, WebMWriter.encodeId(id)),
+            E(ids.SeekPosition, WebMWriter.uint(position, 8))
+        ]);
+        
+        return E(ids.SeekHead, [
+            seek(ids.Info, infoPosition),
+            seek(ids.Tracks, tracksPosition),
+            seek(ids.Cues, cuesPosition)
+        ]);
+    }
+
+    /**
+     * Opus identification header, used when the encoder does not provide one
+     */
+    createOpusHead() {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        
+        head.set(new TextEncoder().encode('OpusHead'), 0);
+        head[8] = 1; // Version
+        head[9] = this.channels;
+        view.setUint16(10, 3840, true); // Pre-skip (80 ms)
+        view.setUint32(12, this.sampleRate, true);
+        view.setInt16(16, 0, true); // Output gain
+        head[18] = 0; // Channel mapping family
+        
+        return head;
+    }
+
+    /**
+     * Build an EBML element; content is bytes or a list of child elements/bytes
+     */
+    static element(id, content) {
+        const children = content instanceof Uint8Array ? [content] : content;
+        const size = children.reduce((sum, child) => sum + child.byteLength, 0);
+        const header = WebMWriter.concat([WebMWriter.encodeId(id), WebMWriter.encodeSize(size)]);
+        
+        return { header, children, byteLength: header.length + size };
+    }
+
+    /**
+     * Flatten an element tree into a list of byte arrays
+     */
+    static writeParts(element, parts) {
+        parts.push(element.header);
+        element.children.forEach(child => {
+            if (child instanceof Uint8Array) {
+                parts.push(child);
+            } else {
+                WebMWriter.writeParts(child, parts);
+            }
+        });
+    }
+
+    /**
+     * Element ID bytes (IDs already include their length marker)
+     */
+    static encodeId(id) {
+        const bytes = [];
+        while (id > 0) {
+            bytes.unshift(id & 0xFF);
+            id = Math.floor(id / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Element size as a variable-length integer
+     */
+    static encodeSize(size) {
+        let length = 1;
+        while (size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+        
+        const bytes = WebMWriter.uint(size, length);
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+
+    /**
+     * Big-endian unsigned integer, minimal length unless a width is given
+     */
+    static uint(value, width) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        
+        while (width && bytes.length < width) {
+            bytes.unshift(0);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * 64-bit big-endian float
+     */
+    static float(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return bytes;
+    }
+
+    /**
+     * UTF-8 string
+     */
+    static string(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Concatenate byte arrays
+     */
+    static concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+WebMWriter.VIDEO_TRACK = 1;
+WebMWriter.AUDIO_TRACK = 2;
+
+WebMWriter.IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
\ No newline at end of file
@@ -9,6 +9,8 @@ let audioContext;
 let analyser;
 let volume = 0;
 let lastUpdateTime = 0;
+const pitchDetector = new PitchDetector();
+let pitchHue = 0;
 
 startButton.addEventListener('click', () => {
     // Start the AudioContext on user gesture
@@ -48,9 +50,11 @@ function updateAudioData() {
 }
 
 function getPitchColor(dataArray) {
-    let maxIndex = dataArray.indexOf(Math.max(...dataArray));
-    let hue = (maxIndex / dataArray.length) * 360; // Map to hue for color
-    return `hsl(${hue}, 100%, 50%)`; // Return HSL color based on pitch
+    let pitch = pitchDetector.update(dataArray, audioContext.sampleRate); // YIN on time-domain samples
+    if (pitch) {
+        pitchHue = PitchDetector.pitchClassToHue(pitch.pitchClass); // Same note, same color
+    }
+    return `hsl(${pitchHue}, 100%, 50%)`; // Return HSL color based on pitch
 }
 
 function drawCenterObject(color) {
@@ -0,0 +1,144 @@
+/**
+ * Analysis Panel
+ * Advanced analyser settings (FFT size, smoothing, dB range) of the active
+ * visualizer. Each visualizer keeps its own settings.
+ */
+class AnalysisPanel {
+    constructor() {
+        this.visualizer = null;
+        this.onChange = null; // (visualizer) => void, set by the app
+        this.sampleRate = 48000; // Replaced by the audio context's rate once audio is running
+        
+        // DOM elements
+        this.panel = document.getElementById('analysisPanel');
+        this.toggleButton = document.getElementById('analysisButton');
+        this.title = document.getElementById('analysisTitle');
+        this.fftSizeSelect = document.getElementById('analysisFftSize');
+        this.smoothingSlider = document.getElementById('analysisSmoothing');
+        this.smoothingValue = document.getElementById('analysisSmoothingValue');
+        this.minDbSlider = document.getElementById('analysisMinDb');
+        this.minDbValue = document.getElementById('analysisMinDbValue');
+        this.maxDbSlider = document.getElementById('analysisMaxDb');
+        this.maxDbValue = document.getElementById('analysisMaxDbValue');
+        this.info = document.getElementById('analysisInfo');
+        this.resetButton = document.getElementById('analysisReset');
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        
+        this.fftSizeSelect.addEventListener('change', () => this.apply());
+        this.smoothingSlider.addEventListener('input', () => this.apply());
+        
+        // Keep the dB range at least 10 dB wide by pushing the other end
+        this.minDbSlider.addEventListener('input', () => {
+            const min = parseInt(this.minDbSlider.value);
+            if (parseInt(this.maxDbSlider.value) < min + 10) {
+                this.maxDbSlider.value = min + 10;
+            }
+            this.apply();
+        });
+        
+        this.maxDbSlider.addEventListener('input', () => {
+            const max = parseInt(this.maxDbSlider.value);
+            if (parseInt(this.minDbSlider.value) > max - 10) {
+                this.minDbSlider.value = max - 10;
+            }
+            this.apply();
+        });
+        
+        this.resetButton.addEventListener('click', () => {
+            if (!this.visualizer) return;
+            this.visualizer.resetAnalysisSettings();
+            this.update();
+            this.notifyChange();
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    togglePanel(visible = this.panel.style.display === 'none') {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('active', visible);
+    }
+
+    /**
+     * Edit the settings of another visualizer
+     */
+    setVisualizer(visualizer, name) {
+        this.visualizer = visualizer;
+        this.title.textContent = name;
+        this.update();
+    }
+
+    /**
+     * Sample rate used for the resolution readout
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.update();
+    }
+
+    /**
+     * Settings currently shown in the panel
+     */
+    getSettings() {
+        return {
+            fftSize: parseInt(this.fftSizeSelect.value),
+            smoothingTimeConstant: parseFloat(this.smoothingSlider.value),
+            minDecibels: parseInt(this.minDbSlider.value),
+            maxDecibels: parseInt(this.maxDbSlider.value)
+        };
+    }
+
+    /**
+     * Hand the panel's settings to the visualizer
+     */
+    apply() {
+        if (!this.visualizer) return;
+        this.visualizer.setAnalysisSettings(this.getSettings());
+        this.update();
+        this.notifyChange();
+    }
+
+    /**
+     * Report changed settings
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.visualizer);
+        }
+    }
+
+    /**
+     * Show the visualizer's settings
+     */
+    update() {
+        if (!this.visualizer) return;
+        
+        const settings = this.visualizer.analysisSettings;
+        this.fftSizeSelect.value = settings.fftSize;
+        this.smoothingSlider.value = settings.smoothingTimeConstant;
+        this.minDbSlider.value = settings.minDecibels;
+        this.maxDbSlider.value = settings.maxDecibels;
+        
+        this.smoothingValue.textContent = settings.smoothingTimeConstant.toFixed(2);
+        this.minDbValue.textContent = `${settings.minDecibels} dB`;
+        this.maxDbValue.textContent = `${settings.maxDecibels} dB`;
+        
+        // Frequency resolution vs. time resolution of the chosen FFT size
+        const binHz = this.sampleRate / settings.fftSize;
+        const windowMs = settings.fftSize / this.sampleRate * 1000;
+        this.info.textContent = `${settings.fftSize / 2} bins · ${binHz.toFixed(1)} Hz/bin · ${Math.round(windowMs)} ms window`;
+        
+        const defaults = this.visualizer.defaultAnalysisSettings;
+        const changed = Object.keys(defaults).some(key => defaults[key] !== settings[key]);
+        this.resetButton.disabled = !changed;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Bars Controls
+ * Band layout, style, LED and peak-hold toolbar shown while the bar analyzer is active
+ */
+class BarsControls {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        
+        // DOM elements
+        this.toolbar = document.getElementById('barsToolbar');
+        this.bandsSelect = document.getElementById('barsBands');
+        this.styleSelect = document.getElementById('barsStyle');
+        this.ledCheckbox = document.getElementById('barsLed');
+        this.peakHoldCheckbox = document.getElementById('barsPeakHold');
+        
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.bandsSelect.addEventListener('change', () => {
+            this.visualizer.setBandLayout(this.bandsSelect.value);
+        });
+        
+        this.styleSelect.addEventListener('change', () => {
+            this.visualizer.setStyle(this.styleSelect.value);
+        });
+        
+        this.ledCheckbox.addEventListener('change', () => {
+            this.visualizer.setLed(this.ledCheckbox.checked);
+        });
+        
+        this.peakHoldCheckbox.addEventListener('change', () => {
+            this.visualizer.setPeakHold(this.peakHoldCheckbox.checked);
+        });
+    }
+
+    /**
+     * Show or hide the toolbar (bar analyzer only)
+     */
+    setVisible(visible) {
+        this.toolbar.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Show the visualizer's settings
+     */
+    update() {
+        this.bandsSelect.value = this.visualizer.bandLayout;
+        this.styleSelect.value = this.visualizer.style;
+        this.ledCheckbox.checked = this.visualizer.led;
+        this.peakHoldCheckbox.checked = this.visualizer.peakHold;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Demo Settings
+ * Pattern, tempo, seed and monitoring for the procedural demo music
+ */
+class DemoSettings {
+    constructor() {
+        // Callback set by the app
+        this.onChange = null; // (options) => void
+        
+        // DOM elements
+        this.panel = document.getElementById('demoSettings');
+        this.patternSelect = document.getElementById('demoPattern');
+        this.tempoSelect = document.getElementById('demoTempo');
+        this.seedInput = document.getElementById('demoSeed');
+        this.audibleToggle = document.getElementById('demoAudible');
+        
+        this.populatePatterns();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Fill the pattern list from the sequencer's patterns
+     */
+    populatePatterns() {
+        this.patternSelect.innerHTML = '';
+        Object.entries(DemoSequencer.PATTERNS).forEach(([name, pattern]) => {
+            this.patternSelect.appendChild(new Option(`${pattern.label} (${pattern.tempo})`, name));
+        });
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        [this.patternSelect, this.tempoSelect, this.seedInput, this.audibleToggle].forEach(element => {
+            element.addEventListener('change', () => {
+                if (this.onChange) {
+                    this.onChange(this.getOptions());
+                }
+            });
+        });
+    }
+
+    /**
+     * Demo options for AudioEngine.useDemo()
+     */
+    getOptions() {
+        return {
+            pattern: this.patternSelect.value,
+            tempo: parseInt(this.tempoSelect.value) || null,
+            seed: parseInt(this.seedInput.value) || 0,
+            audible: this.audibleToggle.checked
+        };
+    }
+
+    /**
+     * Show or hide the panel (demo source only)
+     */
+    setVisible(visible) {
+        this.panel.style.display = visible ? '' : 'none';
+    }
+}
\ No newline at end of file
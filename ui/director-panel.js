@@ -0,0 +1,125 @@
+/**
+ * Director Panel
+ * Settings of the auto-director: on/off, selection strategy, minimum dwell
+ * time, Fractal mode changes and a weight per visualizer
+ */
+class DirectorPanel {
+    constructor(director) {
+        this.director = director;
+        this.onToggle = null; // (enabled) => void, set by the app
+        
+        // DOM elements
+        this.panel = document.getElementById('directorPanel');
+        this.toggleButton = document.getElementById('directorButton');
+        this.statusText = document.getElementById('directorStatus');
+        this.enabledToggle = document.getElementById('directorEnabled');
+        this.selectionSelect = document.getElementById('directorSelection');
+        this.dwellSelect = document.getElementById('directorDwell');
+        this.fractalModesToggle = document.getElementById('directorFractalModes');
+        this.weightList = document.getElementById('directorWeights');
+        
+        this.director.setSelection(this.selectionSelect.value);
+        this.director.setMinDwell(parseInt(this.dwellSelect.value));
+        this.director.setFractalModes(this.fractalModesToggle.checked);
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        
+        this.enabledToggle.addEventListener('change', (e) => {
+            if (this.onToggle) {
+                this.onToggle(e.target.checked);
+            }
+        });
+        
+        this.selectionSelect.addEventListener('change', (e) => {
+            this.director.setSelection(e.target.value);
+        });
+        
+        this.dwellSelect.addEventListener('change', (e) => {
+            this.director.setMinDwell(parseInt(e.target.value));
+        });
+        
+        this.fractalModesToggle.addEventListener('change', (e) => {
+            this.director.setFractalModes(e.target.checked);
+        });
+        
+        this.weightList.addEventListener('input', (e) => {
+            const key = e.target.dataset.key;
+            if (!key) return;
+            
+            this.director.setWeight(key, parseInt(e.target.value));
+            e.target.previousSibling.textContent = this.getWeightText(key);
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    togglePanel(visible = this.panel.style.display === 'none') {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('active', visible);
+    }
+
+    /**
+     * Reflect whether the director is on
+     */
+    setEnabled(enabled) {
+        this.enabledToggle.checked = enabled;
+        this.statusText.textContent = enabled ? 'Waiting for a section change' : 'Off';
+    }
+
+    /**
+     * Show the last section change and what the director did
+     */
+    showSection(section, action) {
+        const minutes = Math.floor(section.time / 60);
+        const seconds = String(Math.floor(section.time % 60)).padStart(2, '0');
+        this.statusText.textContent = `${AutoDirector.SECTION_LABELS[section.type]} at ${minutes}:${seconds} - ${action}`;
+    }
+
+    /**
+     * List a weight slider for every visualizer
+     */
+    render(keys) {
+        this.weightList.innerHTML = '';
+        
+        keys.forEach(key => {
+            const definition = VisualizerRegistry.get(key);
+            const item = document.createElement('li');
+            
+            const label = document.createElement('label');
+            label.textContent = definition ? `${definition.icon} ${definition.label}`.trim() : key;
+            
+            const value = document.createElement('span');
+            value.textContent = this.getWeightText(key);
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.dataset.key = key;
+            slider.min = 0;
+            slider.max = 5;
+            slider.step = 1;
+            slider.value = this.director.getWeight(key);
+            slider.title = 'How often this visualizer is picked (0 = never)';
+            
+            label.appendChild(value);
+            label.appendChild(slider);
+            item.appendChild(label);
+            this.weightList.appendChild(item);
+        });
+    }
+
+    /**
+     * Weight readout
+     */
+    getWeightText(key) {
+        const weight = this.director.getWeight(key);
+        return weight === 0 ? 'off' : `×${weight}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Export Dialog
+ * Settings, progress and download for offline video export of the current file
+ */
+class ExportDialog {
+    constructor(visualizers, audioEngine) {
+        this.visualizers = visualizers;
+        this.audioEngine = audioEngine;
+        this.file = null;
+        this.renderer = null;
+        this.downloadURL = null;
+        
+        // DOM elements
+        this.dialog = document.getElementById('exportDialog');
+        this.fileName = document.getElementById('exportFileName');
+        this.visualizerSelect = document.getElementById('exportVisualizer');
+        this.resolutionSelect = document.getElementById('exportResolution');
+        this.fpsSelect = document.getElementById('exportFps');
+        this.formatSelect = document.getElementById('exportFormat');
+        this.seedInput = document.getElementById('exportSeed');
+        this.progressBar = document.getElementById('exportProgress');
+        this.progressText = document.getElementById('exportProgressText');
+        this.renderButton = document.getElementById('exportRenderButton');
+        this.closeButton = document.getElementById('exportCloseButton');
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.renderButton.addEventListener('click', () => this.startRender());
+        this.closeButton.addEventListener('click', () => {
+            if (this.renderer) {
+                this.renderer.cancel();
+            } else {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Offer a visualizer in the export list
+     */
+    addVisualizer(key, label) {
+        this.visualizerSelect.appendChild(new Option(label, key));
+    }
+
+    /**
+     * Show the dialog for a file, preselecting the active visualizer
+     */
+    open(file, visualizerKey) {
+        this.file = file;
+        this.fileName.textContent = file.name;
+        if (visualizerKey) {
+            this.visualizerSelect.value = visualizerKey;
+        }
+        
+        this.setProgress(0, 'Ready');
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Hide the dialog (only when not rendering)
+     */
+    close() {
+        if (this.renderer) return;
+        this.dialog.style.display = 'none';
+    }
+
+    /**
+     * Whether the dialog is visible
+     */
+    isOpen() {
+        return this.dialog.style.display !== 'none';
+    }
+
+    /**
+     * Render the file with the chosen settings and download the result
+     */
+    async startRender() {
+        if (this.renderer || !this.file) return;
+        
+        const [width, height] = this.resolutionSelect.value.split('x').map(value => parseInt(value));
+        const fps = parseInt(this.fpsSelect.value);
+        const format = this.formatSelect.value;
+        const visualizerKey = this.visualizerSelect.value;
+        
+        this.renderer = new OfflineRenderer({
+            file: this.file,
+            visualizer: this.visualizers[visualizerKey],
+            width,
+            height,
+            fps,
+            format,
+            seed: parseInt(this.seedInput.value) || 0,
+            engineOptions: {
+                fftSize: this.audioEngine.fftSize,
+                smoothingTimeConstant: this.audioEngine.smoothingTimeConstant,
+                autoNormalize: this.audioEngine.autoNormalize,
+                normalizationWindow: this.audioEngine.normalizer.window
+            },
+            onProgress: (progress, frameIndex, frameCount) => {
+                this.setProgress(progress, `Frame ${frameIndex + 1} / ${frameCount}`);
+            }
+        });
+        
+        this.setRendering(true);
+        this.setProgress(0, 'Decoding audio...');
+        
+        try {
+            const blob = await this.renderer.render();
+            const baseName = this.file.name.replace(/\.[^.]+$/, '');
+            const extension = format === 'webm' ? 'webm' : 'tar';
+            this.download(blob, `${baseName}-${visualizerKey}-${width}x${height}-${fps}fps.${extension}`);
+            this.setProgress(1, `Done - ${(blob.size / 1048576).toFixed(1)} MB`);
+        } catch (error) {
+            if (!this.renderer.cancelled) {
+                console.error('Export failed:', error);
+            }
+            this.setProgress(0, error.message);
+        } finally {
+            this.renderer = null;
+            this.setRendering(false);
+        }
+    }
+
+    /**
+     * Offer a Blob as a file download
+     */
+    download(blob, filename) {
+        if (this.downloadURL) {
+            URL.revokeObjectURL(this.downloadURL);
+        }
+        this.downloadURL = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = this.downloadURL;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Lock settings while rendering
+     */
+    setRendering(rendering) {
+        [this.visualizerSelect, this.resolutionSelect, this.fpsSelect, this.formatSelect, this.seedInput, this.renderButton]
+            .forEach(element => { element.disabled = rendering; });
+        this.closeButton.textContent = rendering ? 'Cancel' : 'Close';
+    }
+
+    /**
+     * Update the progress bar and label
+     */
+    setProgress(progress, text) {
+        this.progressBar.value = progress;
+        this.progressText.textContent = text;
+    }
+}
\ No newline at end of file
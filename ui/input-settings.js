@@ -0,0 +1,165 @@
+/**
+ * Input Settings
+ * Microphone device picker, browser processing switches, input gain,
+ * noise gate threshold and a live input level meter
+ */
+class InputSettings {
+    constructor() {
+        this.preferredDeviceId = ''; // Device chosen by the user, '' = system default
+        this.gateOff = -80; // Lowest gate slider position disables the gate
+        this.meterFloor = -80; // dBFS at the left edge of the meter
+        
+        // Callbacks set by the app
+        this.onMicrophoneChange = null; // (options) => void, needs a new microphone stream
+        this.onGainChange = null; // (db) => void
+        this.onGateChange = null; // (threshold or null) => void
+        
+        // DOM elements
+        this.panel = document.getElementById('micSettings');
+        this.deviceSelect = document.getElementById('micDevice');
+        this.processingToggles = {
+            echoCancellation: document.getElementById('micEchoCancellation'),
+            noiseSuppression: document.getElementById('micNoiseSuppression'),
+            autoGainControl: document.getElementById('micAutoGain')
+        };
+        this.gainSlider = document.getElementById('micGain');
+        this.gainValue = document.getElementById('micGainValue');
+        this.gateSlider = document.getElementById('micGate');
+        this.gateValue = document.getElementById('micGateValue');
+        this.meterLevel = document.getElementById('micLevel');
+        this.meterGate = document.getElementById('micGateMarker');
+        
+        this.setupEventListeners();
+        this.updateGainLabel();
+        this.updateGateLabel();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.deviceSelect.addEventListener('change', () => {
+            this.preferredDeviceId = this.deviceSelect.value;
+            this.notifyMicrophoneChange();
+        });
+        
+        Object.values(this.processingToggles).forEach(toggle => {
+            toggle.addEventListener('change', () => this.notifyMicrophoneChange());
+        });
+        
+        this.gainSlider.addEventListener('input', () => {
+            this.updateGainLabel();
+            if (this.onGainChange) {
+                this.onGainChange(this.getGain());
+            }
+        });
+        
+        this.gateSlider.addEventListener('input', () => {
+            this.updateGateLabel();
+            if (this.onGateChange) {
+                this.onGateChange(this.getGateThreshold());
+            }
+        });
+    }
+
+    /**
+     * Microphone options for AudioEngine.useMicrophone()
+     */
+    getOptions() {
+        const options = { deviceId: this.deviceSelect.value };
+        Object.entries(this.processingToggles).forEach(([name, toggle]) => {
+            options[name] = toggle.checked;
+        });
+        return options;
+    }
+
+    /**
+     * Input gain in dB
+     */
+    getGain() {
+        return parseInt(this.gainSlider.value);
+    }
+
+    /**
+     * Noise gate threshold in dBFS, null when off
+     */
+    getGateThreshold() {
+        const value = parseInt(this.gateSlider.value);
+        return value <= this.gateOff ? null : value;
+    }
+
+    /**
+     * Rebuild the device list, keeping the preferred device when it is present
+     * Returns true when the selection changed (e.g. the selected device was unplugged or came back)
+     */
+    async refreshDevices() {
+        const devices = await AudioEngine.getInputDevices();
+        const previous = this.deviceSelect.value;
+        
+        this.deviceSelect.innerHTML = '';
+        this.deviceSelect.appendChild(new Option('Default input', ''));
+        devices.forEach((device, index) => {
+            if (device.deviceId === 'default' || device.deviceId === '') return;
+            this.deviceSelect.appendChild(new Option(device.label || `Input ${index + 1}`, device.deviceId));
+        });
+        
+        const available = devices.some(device => device.deviceId === this.preferredDeviceId);
+        this.deviceSelect.value = available ? this.preferredDeviceId : '';
+        
+        return this.deviceSelect.value !== previous;
+    }
+
+    /**
+     * Show or hide the panel (microphone source only)
+     */
+    setVisible(visible) {
+        this.panel.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Update the level meter from AudioEngine.inputLevel
+     */
+    updateMeter(inputLevel) {
+        const level = inputLevel ? inputLevel.level : -100;
+        this.meterLevel.style.width = `${this.levelToPercent(level)}%`;
+        this.meterLevel.classList.toggle('gated', Boolean(inputLevel) && !inputLevel.gateOpen);
+        
+        const threshold = this.getGateThreshold();
+        this.meterGate.style.display = threshold === null ? 'none' : '';
+        if (threshold !== null) {
+            this.meterGate.style.left = `${this.levelToPercent(threshold)}%`;
+        }
+    }
+
+    /**
+     * Meter position (0-100) for a level in dBFS
+     */
+    levelToPercent(level) {
+        return Math.max(0, Math.min(100, (1 - level / this.meterFloor) * 100));
+    }
+
+    /**
+     * Show the gain in dB
+     */
+    updateGainLabel() {
+        const gain = this.getGain();
+        this.gainValue.textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
+    }
+
+    /**
+     * Show the gate threshold or "Off"
+     */
+    updateGateLabel() {
+        const threshold = this.getGateThreshold();
+        this.gateValue.textContent = threshold === null ? 'Off' : `${threshold} dB`;
+    }
+
+    /**
+     * Report changed device or processing options
+     */
+    notifyMicrophoneChange() {
+        if (this.onMicrophoneChange) {
+            this.onMicrophoneChange(this.getOptions());
+        }
+    }
+}
\ No newline at end of file
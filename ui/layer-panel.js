@@ -0,0 +1,191 @@
+/**
+ * Layer Panel
+ * Stack editor for the layer compositor: add, remove and reorder layers and
+ * set their visibility, opacity, blend mode and sensitivity. Shown while the
+ * compositor is active; the top of the list is the top of the stack.
+ */
+class LayerPanel {
+    constructor(compositor) {
+        this.compositor = compositor;
+        
+        // DOM elements
+        this.panel = document.getElementById('layerPanel');
+        this.addSelect = document.getElementById('layerAddSelect');
+        this.addButton = document.getElementById('layerAddButton');
+        this.list = document.getElementById('layerList');
+        
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.addButton.addEventListener('click', () => {
+            if (!this.addSelect.value) return;
+            this.compositor.addLayer({ key: this.addSelect.value, blend: 'screen' });
+            this.render();
+        });
+        
+        // Sliders update continuously without rebuilding the list
+        this.list.addEventListener('input', (e) => {
+            const id = this.getLayerId(e.target);
+            if (e.target.dataset.field === 'opacity') {
+                this.compositor.updateLayer(id, { opacity: parseInt(e.target.value) / 100 });
+            } else if (e.target.dataset.field === 'sensitivity') {
+                this.compositor.updateLayer(id, { sensitivity: parseInt(e.target.value) });
+            }
+        });
+        
+        this.list.addEventListener('change', (e) => {
+            const id = this.getLayerId(e.target);
+            if (e.target.dataset.field === 'blend') {
+                this.compositor.updateLayer(id, { blend: e.target.value });
+            } else if (e.target.dataset.field === 'visible') {
+                this.compositor.updateLayer(id, { visible: e.target.checked });
+            }
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = this.getLayerId(button);
+            if (button.dataset.action === 'up') {
+                this.compositor.moveLayer(id, 1);
+            } else if (button.dataset.action === 'down') {
+                this.compositor.moveLayer(id, -1);
+            } else if (button.dataset.action === 'remove') {
+                this.compositor.removeLayer(id);
+            }
+            this.render();
+        });
+    }
+
+    /**
+     * Layer id of the list item containing an element
+     */
+    getLayerId(element) {
+        const item = element.closest('.layer-item');
+        return item ? parseInt(item.dataset.layer) : null;
+    }
+
+    /**
+     * Show or hide the panel (compositor only)
+     */
+    setVisible(visible) {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.update();
+        }
+    }
+
+    /**
+     * Refresh the visualizer choices (plugins may have been added) and the stack
+     */
+    update() {
+        const selected = this.addSelect.value;
+        this.addSelect.innerHTML = '';
+        VisualizerRegistry.getAll()
+            .filter(definition => definition.visualizerClass !== LayersVisualizer)
+            .forEach(definition => {
+                this.addSelect.appendChild(new Option(`${definition.icon} ${definition.label}`.trim(), definition.id));
+            });
+        if (selected) {
+            this.addSelect.value = selected;
+        }
+        
+        this.render();
+    }
+
+    /**
+     * Render the stack, top layer first
+     */
+    render() {
+        this.list.innerHTML = '';
+        
+        this.compositor.layers.slice().reverse().forEach((layer, index, layers) => {
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+            item.dataset.layer = layer.id;
+            
+            const title = document.createElement('div');
+            title.className = 'layer-title';
+            
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.dataset.field = 'visible';
+            visible.checked = layer.visible;
+            visible.title = 'Show layer';
+            
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            
+            title.appendChild(visible);
+            title.appendChild(name);
+            title.appendChild(this.createButton('up', '▲', 'Move up', index === 0));
+            title.appendChild(this.createButton('down', '▼', 'Move down', index === layers.length - 1));
+            title.appendChild(this.createButton('remove', '✕', 'Remove layer', false));
+            
+            const blend = document.createElement('select');
+            blend.className = 'matrix-select';
+            blend.dataset.field = 'blend';
+            Object.entries(LayersVisualizer.BLEND_MODES).forEach(([key, mode]) => {
+                blend.appendChild(new Option(mode.label, key));
+            });
+            blend.value = layer.blend;
+            
+            item.appendChild(title);
+            item.appendChild(this.createSlider('Opacity', 'opacity', 0, 100, Math.round(layer.opacity * 100)));
+            item.appendChild(this.createLabel('Blend', blend));
+            item.appendChild(this.createSlider('Sensitivity', 'sensitivity', 10, 200, layer.sensitivity));
+            this.list.appendChild(item);
+        });
+        
+        if (this.compositor.layers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'layer-empty';
+            empty.textContent = 'No layers - add one above';
+            this.list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Small stack action button (up, down, remove)
+     */
+    createButton(action, text, title, disabled) {
+        const button = document.createElement('button');
+        button.className = 'transport-btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * Labeled range input for a layer field
+     */
+    createSlider(text, field, min, max, value) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.dataset.field = field;
+        slider.min = min;
+        slider.max = max;
+        slider.step = 1;
+        slider.value = value;
+        return this.createLabel(text, slider);
+    }
+
+    /**
+     * Wrap a control in a label
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(control);
+        return label;
+    }
+}
\ No newline at end of file
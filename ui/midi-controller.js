@@ -0,0 +1,236 @@
+/**
+ * MIDI Controller
+ * Binds MIDI control changes and notes to app targets with MIDI-learn.
+ * Mappings persist in localStorage. Pass a MIDIAccess object to connect()
+ * (or requestMIDIAccess in the options) to drive it without real hardware.
+ */
+class MidiController {
+    constructor(options = {}) {
+        this.requestMIDIAccess = options.requestMIDIAccess ||
+            (navigator.requestMIDIAccess ? () => navigator.requestMIDIAccess() : null);
+        this.storage = options.storage !== undefined ? options.storage : window.localStorage;
+        this.storageKey = 'audioVisualizer.midiMappings';
+        
+        this.midiAccess = null;
+        this.targets = {}; // id -> { label, kind, handler }
+        this.mappings = this.loadMappings(); // id -> { type, channel, number }
+        this.learnTarget = null;
+        
+        // Callbacks set by the UI
+        this.onChange = null; // () => void, mappings, learn state or inputs changed
+        this.onActivity = null; // (targetId, message) => void
+    }
+
+    /**
+     * Register a target
+     * kind 'control' receives CC values and note velocities (0-1), 'trigger' only note-ons
+     */
+    registerTarget(id, label, handler, kind = 'control') {
+        this.targets[id] = { label, kind, handler };
+    }
+
+    /**
+     * Whether Web MIDI can be used in this browser
+     */
+    isSupported() {
+        return Boolean(this.requestMIDIAccess) || Boolean(this.midiAccess);
+    }
+
+    /**
+     * Request MIDI access (or use the given MIDIAccess) and listen to every input
+     */
+    async connect(midiAccess = null) {
+        if (this.midiAccess) return;
+        
+        if (!midiAccess) {
+            if (!this.requestMIDIAccess) {
+                throw new Error('Web MIDI is not supported in this browser');
+            }
+            midiAccess = await this.requestMIDIAccess();
+        }
+        
+        this.midiAccess = midiAccess;
+        this.attachInputs();
+        
+        // Controllers plugged in later
+        midiAccess.onstatechange = () => {
+            this.attachInputs();
+            this.notifyChange();
+        };
+        this.notifyChange();
+    }
+
+    /**
+     * Listen to messages from all connected inputs
+     */
+    attachInputs() {
+        this.getInputs().forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    /**
+     * Connected MIDI inputs
+     */
+    getInputs() {
+        return this.midiAccess ? Array.from(this.midiAccess.inputs.values()) : [];
+    }
+
+    /**
+     * Route a raw MIDI message to the learn target or the bound targets
+     */
+    handleMessage(data) {
+        const message = MidiController.parseMessage(data);
+        if (!message) return;
+        
+        if (this.learnTarget) {
+            const target = this.targets[this.learnTarget];
+            if (target.kind === 'trigger' && message.type !== 'note') return;
+            
+            this.mappings[this.learnTarget] = {
+                type: message.type,
+                channel: message.channel,
+                number: message.number
+            };
+            this.learnTarget = null;
+            this.saveMappings();
+            this.notifyChange();
+            return;
+        }
+        
+        Object.entries(this.mappings).forEach(([id, mapping]) => {
+            const target = this.targets[id];
+            if (!target || !MidiController.matches(mapping, message)) return;
+            
+            try {
+                target.handler(message.value, message);
+            } catch (error) {
+                console.error(`Error in MIDI target ${id}:`, error);
+            }
+            if (this.onActivity) {
+                this.onActivity(id, message);
+            }
+        });
+    }
+
+    /**
+     * Wait for the next CC or note and bind it to a target
+     */
+    startLearn(targetId) {
+        if (!this.targets[targetId]) return;
+        this.learnTarget = targetId;
+        this.notifyChange();
+    }
+
+    /**
+     * Leave learn mode without binding
+     */
+    cancelLearn() {
+        this.learnTarget = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Remove a target's binding
+     */
+    clearMapping(targetId) {
+        delete this.mappings[targetId];
+        this.saveMappings();
+        this.notifyChange();
+    }
+
+    /**
+     * Whether any binding has been saved
+     */
+    hasMappings() {
+        return Object.keys(this.mappings).length > 0;
+    }
+
+    /**
+     * Human-readable binding of a target ("CC 21 / Ch 1", "Note C3 / Ch 10")
+     */
+    describeMapping(targetId) {
+        const mapping = this.mappings[targetId];
+        if (!mapping) return '—';
+        
+        const source = mapping.type === 'cc' ? `CC ${mapping.number}` : `Note ${MidiController.noteName(mapping.number)}`;
+        return `${source} / Ch ${mapping.channel + 1}`;
+    }
+
+    /**
+     * Read saved mappings (empty when storage is unavailable or corrupt)
+     */
+    loadMappings() {
+        try {
+            const saved = this.storage && this.storage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('Could not read MIDI mappings:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Persist mappings
+     */
+    saveMappings() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.mappings));
+            }
+        } catch (error) {
+            console.warn('Could not save MIDI mappings:', error.message);
+        }
+    }
+
+    /**
+     * Notify the UI
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Parse control change and note-on messages
+     * Returns { type: 'cc' | 'note', channel, number, value (0-1) } or null
+     */
+    static parseMessage(data) {
+        if (!data || data.length < 3) return null;
+        
+        const status = data[0] & 0xF0;
+        const channel = data[0] & 0x0F;
+        
+        if (status === 0xB0) {
+            return { type: 'cc', channel, number: data[1], value: data[2] / 127 };
+        }
+        if (status === 0x90 && data[2] > 0) {
+            return { type: 'note', channel, number: data[1], value: data[2] / 127 };
+        }
+        return null; // Note-offs and everything else
+    }
+
+    /**
+     * Whether a message matches a saved mapping
+     */
+    static matches(mapping, message) {
+        return mapping.type === message.type &&
+            mapping.channel === message.channel &&
+            mapping.number === message.number;
+    }
+
+    /**
+     * Map a 0-1 control value onto one of count choices
+     */
+    static valueToIndex(value, count) {
+        return Math.min(count - 1, Math.floor(value * count));
+    }
+
+    /**
+     * Note name for a MIDI note number (60 = C4)
+     */
+    static noteName(number) {
+        return `${PitchDetector.NOTE_NAMES[number % 12]}${Math.floor(number / 12) - 1}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * MIDI Panel
+ * Lists MIDI targets with their bindings; click a target, then move a
+ * knob or hit a pad to bind it (MIDI-learn)
+ */
+class MidiPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.activityTimers = {};
+        
+        // DOM elements
+        this.panel = document.getElementById('midiPanel');
+        this.toggleButton = document.getElementById('midiButton');
+        this.statusText = document.getElementById('midiStatus');
+        this.list = document.getElementById('midiTargets');
+        
+        this.controller.onChange = () => this.render();
+        this.controller.onActivity = (targetId) => this.flash(targetId);
+        
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.midi-target');
+            if (!item) return;
+            
+            const targetId = item.dataset.target;
+            if (e.target.closest('.midi-clear')) {
+                this.controller.clearMapping(targetId);
+            } else if (this.controller.learnTarget === targetId) {
+                this.controller.cancelLearn();
+            } else {
+                this.controller.startLearn(targetId);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the panel; the first opening requests MIDI access
+     */
+    async togglePanel(visible = this.panel.style.display === 'none') {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('active', visible);
+        
+        if (!visible) {
+            this.controller.cancelLearn();
+            return;
+        }
+        
+        await this.connect();
+    }
+
+    /**
+     * Connect to MIDI, reporting failures in the panel
+     */
+    async connect() {
+        try {
+            await this.controller.connect();
+        } catch (error) {
+            console.warn('MIDI unavailable:', error.message);
+            this.statusText.textContent = error.message;
+        }
+    }
+
+    /**
+     * Briefly highlight a target that received a message
+     */
+    flash(targetId) {
+        const item = this.list.querySelector(`[data-target="${targetId}"]`);
+        if (!item) return;
+        
+        item.classList.add('active');
+        clearTimeout(this.activityTimers[targetId]);
+        this.activityTimers[targetId] = setTimeout(() => item.classList.remove('active'), 150);
+    }
+
+    /**
+     * Rebuild the target list and status line
+     */
+    render() {
+        this.list.innerHTML = '';
+        
+        Object.entries(this.controller.targets).forEach(([id, target]) => {
+            const learning = this.controller.learnTarget === id;
+            
+            const item = document.createElement('li');
+            item.className = 'midi-target';
+            item.classList.toggle('learning', learning);
+            item.dataset.target = id;
+            item.title = target.kind === 'trigger' ? 'Click, then hit a pad or key' : 'Click, then move a knob or fader';
+            
+            const label = document.createElement('span');
+            label.className = 'midi-label';
+            label.textContent = target.kind === 'trigger' ? `⚡ ${target.label}` : target.label;
+            
+            const binding = document.createElement('span');
+            binding.className = 'midi-binding';
+            binding.textContent = learning ? 'Waiting…' : this.controller.describeMapping(id);
+            
+            const clearButton = document.createElement('button');
+            clearButton.className = 'midi-clear';
+            clearButton.title = 'Remove binding';
+            clearButton.textContent = '✕';
+            
+            item.appendChild(label);
+            item.appendChild(binding);
+            item.appendChild(clearButton);
+            this.list.appendChild(item);
+        });
+        
+        if (!this.controller.isSupported()) {
+            this.statusText.textContent = 'Web MIDI not supported';
+        } else if (this.controller.midiAccess) {
+            const inputs = this.controller.getInputs();
+            this.statusText.textContent = inputs.length > 0 ? inputs.map(input => input.name).join(', ') : 'No MIDI inputs';
+        } else {
+            this.statusText.textContent = 'Not connected';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,385 @@
+/**
+ * Playlist
+ * Queue of audio files with next/previous, drag-to-reorder, shuffle and
+ * repeat modes. The app plays the selected track through the AudioEngine.
+ */
+class Playlist {
+    constructor() {
+        this.tracks = [];
+        this.currentIndex = -1;
+        this.shuffle = false;
+        this.shuffleOrder = [];
+        this.repeatMode = 'all'; // 'off', 'all' or 'one'
+        this.repeatModeBeforeOne = 'all';
+        this.nextTrackId = 1;
+        this.dragIndex = null;
+        
+        // Callbacks set by the app
+        this.onTrackChange = null; // (track) => void
+        this.onRepeatChange = null; // (mode) => void
+        
+        // DOM elements
+        this.panel = document.getElementById('playlistPanel');
+        this.list = document.getElementById('playlistItems');
+        this.toggleButton = document.getElementById('playlistToggleButton');
+        this.prevButton = document.getElementById('prevTrackButton');
+        this.nextButton = document.getElementById('nextTrackButton');
+        this.shuffleButton = document.getElementById('shuffleButton');
+        this.repeatButton = document.getElementById('repeatButton');
+        this.clearButton = document.getElementById('clearPlaylistButton');
+        
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        this.prevButton.addEventListener('click', () => this.previous());
+        this.nextButton.addEventListener('click', () => this.next());
+        this.shuffleButton.addEventListener('click', () => this.toggleShuffle());
+        this.repeatButton.addEventListener('click', () => this.cycleRepeatMode());
+        this.clearButton.addEventListener('click', () => this.clear());
+        
+        // Track selection and removal
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+            
+            const index = parseInt(item.dataset.index);
+            if (e.target.closest('.playlist-remove')) {
+                this.remove(index);
+            } else {
+                this.select(index);
+            }
+        });
+        
+        // Drag to reorder
+        this.list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+            
+            this.dragIndex = parseInt(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+        });
+        
+        this.list.addEventListener('dragover', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        
+        this.list.addEventListener('drop', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            
+            const item = e.target.closest('.playlist-item');
+            const targetIndex = item ? parseInt(item.dataset.index) : this.tracks.length - 1;
+            this.move(this.dragIndex, targetIndex);
+            this.dragIndex = null;
+        });
+        
+        this.list.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Add files to the end of the queue
+     * Returns the number of tracks added
+     */
+    addFiles(files) {
+        files.forEach(file => {
+            this.tracks.push({
+                id: this.nextTrackId++,
+                file,
+                name: file.name.replace(/\.[^.]+$/, '')
+            });
+        });
+        
+        this.updateShuffleOrder();
+        this.render();
+        return files.length;
+    }
+
+    /**
+     * Make a track current and notify the app
+     */
+    select(index) {
+        if (index < 0 || index >= this.tracks.length) return;
+        
+        this.currentIndex = index;
+        this.render();
+        
+        if (this.onTrackChange) {
+            this.onTrackChange(this.tracks[index]);
+        }
+    }
+
+    /**
+     * Currently selected track (or null)
+     */
+    getCurrentTrack() {
+        return this.tracks[this.currentIndex] || null;
+    }
+
+    /**
+     * Advance to the next track
+     * Returns false when the end of the queue is reached with repeat off
+     */
+    next() {
+        const index = this.getAdjacentIndex(1);
+        if (index === -1) return false;
+        
+        this.select(index);
+        return true;
+    }
+
+    /**
+     * Go back to the previous track
+     */
+    previous() {
+        const index = this.getAdjacentIndex(-1);
+        if (index === -1) return false;
+        
+        this.select(index);
+        return true;
+    }
+
+    /**
+     * Called when the current track finished playing
+     */
+    handleTrackEnded() {
+        if (this.repeatMode === 'one') {
+            this.select(this.currentIndex);
+        } else {
+            this.next();
+        }
+    }
+
+    /**
+     * Index of the next/previous track in play order, -1 if none
+     */
+    getAdjacentIndex(direction) {
+        if (this.tracks.length === 0) return -1;
+        if (this.currentIndex === -1) return direction > 0 ? this.getPlayOrder()[0] : -1;
+        
+        const order = this.getPlayOrder();
+        let position = order.indexOf(this.currentIndex) + direction;
+        
+        if (position < 0 || position >= order.length) {
+            if (this.repeatMode === 'off') return -1;
+            position = (position + order.length) % order.length;
+        }
+        
+        return order[position];
+    }
+
+    /**
+     * Track indices in the order they will be played
+     */
+    getPlayOrder() {
+        return this.shuffle ? this.shuffleOrder : this.tracks.map((_, index) => index);
+    }
+
+    /**
+     * Reshuffle, keeping the current track first
+     */
+    updateShuffleOrder() {
+        const order = this.tracks.map((_, index) => index).filter(index => index !== this.currentIndex);
+        
+        // Fisher-Yates shuffle
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        
+        if (this.currentIndex !== -1) {
+            order.unshift(this.currentIndex);
+        }
+        this.shuffleOrder = order;
+    }
+
+    /**
+     * Move a track to a new position in the queue
+     */
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= this.tracks.length) return;
+        toIndex = Math.max(0, Math.min(this.tracks.length - 1, toIndex));
+        
+        const current = this.getCurrentTrack();
+        const [track] = this.tracks.splice(fromIndex, 1);
+        this.tracks.splice(toIndex, 0, track);
+        this.currentIndex = current ? this.tracks.indexOf(current) : -1;
+        
+        this.updateShuffleOrder();
+        this.render();
+    }
+
+    /**
+     * Remove a track from the queue
+     */
+    remove(index) {
+        if (index < 0 || index >= this.tracks.length) return;
+        
+        const removingCurrent = index === this.currentIndex;
+        const current = this.getCurrentTrack();
+        this.tracks.splice(index, 1);
+        
+        if (removingCurrent) {
+            // Keep playing the track in the same position, if any
+            this.currentIndex = -1;
+            this.updateShuffleOrder();
+            this.render();
+            if (this.tracks.length > 0) {
+                this.select(Math.min(index, this.tracks.length - 1));
+            }
+            return;
+        }
+        
+        this.currentIndex = current ? this.tracks.indexOf(current) : -1;
+        this.updateShuffleOrder();
+        this.render();
+    }
+
+    /**
+     * Remove all tracks except the one currently playing
+     */
+    clear() {
+        const current = this.getCurrentTrack();
+        this.tracks = current ? [current] : [];
+        this.currentIndex = current ? 0 : -1;
+        
+        this.updateShuffleOrder();
+        this.render();
+    }
+
+    /**
+     * Toggle shuffle mode
+     */
+    toggleShuffle() {
+        this.shuffle = !this.shuffle;
+        if (this.shuffle) {
+            this.updateShuffleOrder();
+        }
+        this.render();
+    }
+
+    /**
+     * Cycle repeat mode: all -> one -> off
+     */
+    cycleRepeatMode() {
+        const modes = ['all', 'one', 'off'];
+        this.setRepeatMode(modes[(modes.indexOf(this.repeatMode) + 1) % modes.length]);
+    }
+
+    /**
+     * Set repeat mode ('off', 'all' or 'one')
+     */
+    setRepeatMode(mode) {
+        if (mode === this.repeatMode) return;
+        
+        if (mode === 'one') {
+            this.repeatModeBeforeOne = this.repeatMode;
+        }
+        this.repeatMode = mode;
+        this.render();
+        
+        if (this.onRepeatChange) {
+            this.onRepeatChange(mode);
+        }
+    }
+
+    /**
+     * Turn repeat-one on or off (used by the transport loop toggle)
+     */
+    setRepeatOne(enabled) {
+        if (enabled) {
+            this.setRepeatMode('one');
+        } else if (this.repeatMode === 'one') {
+            this.setRepeatMode(this.repeatModeBeforeOne);
+        }
+    }
+
+    /**
+     * Show or hide the playlist panel
+     */
+    togglePanel(visible = this.panel.style.display === 'none') {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('active', visible);
+    }
+
+    /**
+     * Handle playlist keyboard shortcuts
+     * Returns true when the key was handled
+     */
+    handleKeydown(e) {
+        if (this.tracks.length === 0) return false;
+        if (e.target && e.target.closest && e.target.closest('input, select, textarea')) return false;
+        
+        switch (e.code) {
+            case 'KeyN':
+                this.next();
+                break;
+            case 'KeyP':
+                this.previous();
+                break;
+            default:
+                return false;
+        }
+        
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Render the queue and mode buttons
+     */
+    render() {
+        this.list.innerHTML = '';
+        
+        this.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'playlist-item';
+            item.classList.toggle('current', index === this.currentIndex);
+            item.dataset.index = index;
+            item.draggable = true;
+            item.title = track.file.name;
+            
+            const name = document.createElement('span');
+            name.className = 'playlist-name';
+            name.textContent = `${index === this.currentIndex ? '▶ ' : ''}${track.name}`;
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'playlist-remove';
+            removeButton.title = 'Remove from playlist';
+            removeButton.textContent = '✕';
+            
+            item.appendChild(name);
+            item.appendChild(removeButton);
+            this.list.appendChild(item);
+        });
+        
+        if (this.tracks.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'playlist-empty';
+            empty.textContent = 'Drop audio files to build a playlist';
+            this.list.appendChild(empty);
+        }
+        
+        const repeatLabels = { off: '➡ Off', all: '🔁 All', one: '🔂 One' };
+        this.repeatButton.textContent = repeatLabels[this.repeatMode];
+        this.repeatButton.classList.toggle('active', this.repeatMode !== 'off');
+        this.shuffleButton.classList.toggle('active', this.shuffle);
+        
+        const hasMultiple = this.tracks.length > 1;
+        this.prevButton.disabled = !hasMultiple;
+        this.nextButton.disabled = !hasMultiple;
+        this.toggleButton.textContent = `☰ ${this.tracks.length}`;
+    }
+}
\ No newline at end of file
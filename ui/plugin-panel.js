@@ -0,0 +1,117 @@
+/**
+ * Plugin Panel
+ * Loads third-party visualizer scripts from a URL or a local file and lists
+ * the visualizers they registered
+ */
+class PluginPanel {
+    constructor() {
+        this.loading = false;
+        this.onLoad = null; // (definitions) => void, set by the app
+        
+        // DOM elements
+        this.panel = document.getElementById('pluginPanel');
+        this.toggleButton = document.getElementById('pluginButton');
+        this.statusText = document.getElementById('pluginStatus');
+        this.urlInput = document.getElementById('pluginUrl');
+        this.loadButton = document.getElementById('pluginLoadButton');
+        this.fileButton = document.getElementById('pluginFileButton');
+        this.fileInput = document.getElementById('pluginFileInput');
+        this.list = document.getElementById('pluginList');
+        
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        this.loadButton.addEventListener('click', () => this.load(this.urlInput.value.trim()));
+        
+        this.urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.load(this.urlInput.value.trim());
+            }
+        });
+        
+        this.fileButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = ''; // Allow picking the same file again
+            this.load(file);
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    togglePanel(visible = this.panel.style.display === 'none') {
+        this.panel.style.display = visible ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('active', visible);
+    }
+
+    /**
+     * Load a plugin script (URL string or File) and hand its visualizers to the app
+     */
+    async load(source) {
+        if (!source || this.loading) return;
+        
+        this.setLoading(true);
+        this.statusText.textContent = 'Loading...';
+        
+        try {
+            const definitions = await VisualizerRegistry.load(source);
+            if (this.onLoad) {
+                this.onLoad(definitions);
+            }
+            this.statusText.textContent = `Added ${definitions.map(definition => definition.name).join(', ')}`;
+            this.urlInput.value = '';
+        } catch (error) {
+            console.warn('Plugin not loaded:', error.message);
+            this.statusText.textContent = error.message;
+        } finally {
+            this.setLoading(false);
+            this.render();
+        }
+    }
+
+    /**
+     * Disable the load buttons while a script loads
+     */
+    setLoading(loading) {
+        this.loading = loading;
+        this.loadButton.disabled = loading;
+        this.fileButton.disabled = loading;
+    }
+
+    /**
+     * List the visualizers registered by plugins
+     */
+    render() {
+        const plugins = VisualizerRegistry.getAll().filter(definition => definition.source !== 'built-in');
+        this.list.innerHTML = '';
+        
+        if (plugins.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'plugin-empty';
+            empty.textContent = 'No plugins loaded';
+            this.list.appendChild(empty);
+            return;
+        }
+        
+        plugins.forEach(definition => {
+            const item = document.createElement('li');
+            const shortcut = VisualizerRegistry.getShortcutLabel(definition.shortcut);
+            item.textContent = `${definition.icon} ${definition.name}${shortcut ? ` [${shortcut}]` : ''}`.trim();
+            
+            const source = document.createElement('span');
+            source.className = 'plugin-source';
+            source.textContent = definition.source;
+            source.title = definition.source;
+            item.appendChild(source);
+            
+            this.list.appendChild(item);
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Record Controls
+ * Record button, bitrate selection and timer for live recording
+ */
+class RecordControls {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.timer = null;
+        
+        // Callbacks set by the app
+        this.getFrameSize = null; // () => { width, height }
+        this.onStatus = null; // (message, type) => void
+        
+        // DOM elements
+        this.recordButton = document.getElementById('recordButton');
+        this.bitrateSelect = document.getElementById('recordBitrate');
+        this.timerDisplay = document.getElementById('recordTimer');
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.recordButton.addEventListener('click', () => this.toggle());
+    }
+
+    /**
+     * Start or stop recording
+     */
+    toggle() {
+        if (this.recorder.isRecording()) {
+            return this.stop();
+        }
+        return this.start();
+    }
+
+    /**
+     * Start recording the active visualizer
+     */
+    start() {
+        const size = this.getFrameSize ? this.getFrameSize() : { width: 1280, height: 720 };
+        
+        try {
+            this.recorder.start({
+                width: size.width,
+                height: size.height,
+                videoBitsPerSecond: parseInt(this.bitrateSelect.value)
+            });
+        } catch (error) {
+            console.error('Recording failed:', error);
+            this.reportStatus(`Recording failed: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.timer = setInterval(() => this.updateTimer(), 250);
+        this.updateState();
+        this.reportStatus('Recording - press R or ⏹ to stop');
+    }
+
+    /**
+     * Stop recording and download the video
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        const blob = await this.recorder.stop();
+        this.updateState();
+        if (!blob) return;
+        
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        this.download(blob, `visualizer-recording-${stamp}.webm`);
+        this.reportStatus(`Recording saved (${(blob.size / 1048576).toFixed(1)} MB)`);
+    }
+
+    /**
+     * Offer a Blob as a file download
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the download time to start before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Update button and timer for the current state
+     */
+    updateState() {
+        const recording = this.recorder.isRecording();
+        this.recordButton.textContent = recording ? '⏹ Stop' : '⏺ Rec';
+        this.recordButton.classList.toggle('recording', recording);
+        this.bitrateSelect.disabled = recording;
+        this.updateTimer();
+    }
+
+    /**
+     * Show elapsed recording time
+     */
+    updateTimer() {
+        this.timerDisplay.textContent = TransportControls.formatTime(this.recorder.getElapsed());
+    }
+
+    /**
+     * Forward a status message to the app
+     */
+    reportStatus(message, type = 'info') {
+        if (this.onStatus) {
+            this.onStatus(message, type);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Rose Controls
+ * Petal or rose curve mode toolbar shown while the rose visualizer is active:
+ * per-ring petal count, length and hue in petal mode; k source, curve layers
+ * and Maurer web in curve mode
+ */
+class RoseControls {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        
+        // DOM elements
+        this.toolbar = document.getElementById('roseToolbar');
+        this.modeSelect = document.getElementById('roseMode');
+        this.ringSelect = document.getElementById('roseRing');
+        this.ringPetalsSlider = document.getElementById('roseRingPetals');
+        this.ringPetalsValue = document.getElementById('roseRingPetalsValue');
+        this.ringLengthSlider = document.getElementById('roseRingLength');
+        this.ringHueSlider = document.getElementById('roseRingHue');
+        this.ringHueValue = document.getElementById('roseRingHueValue');
+        this.kSourceSelect = document.getElementById('roseKSource');
+        this.layersSelect = document.getElementById('roseLayers');
+        this.maurerCheckbox = document.getElementById('roseMaurer');
+        this.curveOptions = this.toolbar.querySelectorAll('.rose-curve-option');
+        this.petalOptions = this.toolbar.querySelectorAll('.rose-petal-option');
+        
+        this.visualizer.rings.forEach((ring, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = ring.name;
+            this.ringSelect.appendChild(option);
+        });
+        
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.modeSelect.addEventListener('change', () => {
+            this.visualizer.setMode(this.modeSelect.value);
+            this.update();
+        });
+        
+        this.ringSelect.addEventListener('change', () => this.update());
+        
+        this.ringPetalsSlider.addEventListener('input', () => {
+            this.visualizer.setRing(this.getRingIndex(), { petals: parseInt(this.ringPetalsSlider.value) });
+            this.update();
+        });
+        
+        this.ringLengthSlider.addEventListener('input', () => {
+            this.visualizer.setRing(this.getRingIndex(), { length: parseFloat(this.ringLengthSlider.value) });
+        });
+        
+        this.ringHueSlider.addEventListener('input', () => {
+            this.visualizer.setRing(this.getRingIndex(), { hue: parseInt(this.ringHueSlider.value) });
+            this.update();
+        });
+        
+        this.kSourceSelect.addEventListener('change', () => {
+            this.visualizer.setKSource(this.kSourceSelect.value);
+        });
+        
+        this.layersSelect.addEventListener('change', () => {
+            this.visualizer.setCurveLayers(parseInt(this.layersSelect.value));
+        });
+        
+        this.maurerCheckbox.addEventListener('change', () => {
+            this.visualizer.setMaurer(this.maurerCheckbox.checked);
+        });
+    }
+
+    /**
+     * Index of the ring being edited
+     */
+    getRingIndex() {
+        return parseInt(this.ringSelect.value) || 0;
+    }
+
+    /**
+     * Show or hide the toolbar (rose only)
+     */
+    setVisible(visible) {
+        this.toolbar.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Show the visualizer's settings; ring options only apply in petal mode, curve options in curve mode
+     */
+    update() {
+        const ring = this.visualizer.rings[this.getRingIndex()];
+        this.modeSelect.value = this.visualizer.mode;
+        this.ringPetalsSlider.value = ring.petals;
+        this.ringPetalsValue.textContent = ring.petals;
+        this.ringLengthSlider.value = ring.length;
+        this.ringHueSlider.value = ring.hue;
+        this.ringHueValue.textContent = `+${ring.hue}°`;
+        this.kSourceSelect.value = this.visualizer.kSource;
+        this.layersSelect.value = this.visualizer.curveLayers;
+        this.maurerCheckbox.checked = this.visualizer.maurer;
+        
+        this.curveOptions.forEach(option => {
+            option.style.display = this.visualizer.mode === 'curve' ? '' : 'none';
+        });
+        this.petalOptions.forEach(option => {
+            option.style.display = this.visualizer.mode === 'petals' ? '' : 'none';
+        });
+    }
+}
\ No newline at end of file
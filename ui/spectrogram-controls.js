@@ -0,0 +1,91 @@
+/**
+ * Spectrogram Controls
+ * Colormap, time span and dB range toolbar shown while the spectrogram is active
+ */
+class SpectrogramControls {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        
+        // Callback set by the app
+        this.onChange = null; // () => void, the dB range (analyser settings) changed
+        
+        // DOM elements
+        this.toolbar = document.getElementById('spectrogramToolbar');
+        this.colormapSelect = document.getElementById('spectrogramColormap');
+        this.spanSelect = document.getElementById('spectrogramSpan');
+        this.floorSlider = document.getElementById('spectrogramFloor');
+        this.floorValue = document.getElementById('spectrogramFloorValue');
+        this.ceilingSlider = document.getElementById('spectrogramCeiling');
+        this.ceilingValue = document.getElementById('spectrogramCeilingValue');
+        
+        this.populateColormaps();
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Fill the colormap list from the visualizer's colormaps
+     */
+    populateColormaps() {
+        this.colormapSelect.innerHTML = '';
+        Object.entries(SpectrogramVisualizer.COLORMAPS).forEach(([name, colormap]) => {
+            this.colormapSelect.appendChild(new Option(colormap.label, name));
+        });
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.colormapSelect.addEventListener('change', () => {
+            this.visualizer.setColormap(this.colormapSelect.value);
+        });
+        
+        this.spanSelect.addEventListener('change', () => {
+            this.visualizer.setTimeSpan(parseInt(this.spanSelect.value));
+        });
+        
+        // Keep the dB range at least 10 dB wide by pushing the other end
+        this.floorSlider.addEventListener('input', () => {
+            const floor = parseInt(this.floorSlider.value);
+            this.applyDecibelRange(floor, Math.max(floor + 10, parseInt(this.ceilingSlider.value)));
+        });
+        
+        this.ceilingSlider.addEventListener('input', () => {
+            const ceiling = parseInt(this.ceilingSlider.value);
+            this.applyDecibelRange(Math.min(ceiling - 10, parseInt(this.floorSlider.value)), ceiling);
+        });
+    }
+
+    /**
+     * Hand a dB range to the visualizer
+     */
+    applyDecibelRange(floor, ceiling) {
+        this.visualizer.setDecibelRange(floor, ceiling);
+        this.update();
+        
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Show or hide the toolbar (spectrogram only)
+     */
+    setVisible(visible) {
+        this.toolbar.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Show the visualizer's settings
+     */
+    update() {
+        const settings = this.visualizer.analysisSettings;
+        this.colormapSelect.value = this.visualizer.colormap;
+        this.spanSelect.value = this.visualizer.timeSpan;
+        this.floorSlider.value = settings.minDecibels;
+        this.ceilingSlider.value = settings.maxDecibels;
+        this.floorValue.textContent = `${settings.minDecibels} dB`;
+        this.ceilingValue.textContent = `${settings.maxDecibels} dB`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ * Transport Controls
+ * Play/pause, seek, volume/mute and loop for file playback
+ * Drives the audio element owned by the AudioEngine
+ */
+class TransportControls {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.audioElement = null;
+        this.isSeeking = false;
+        
+        // Called with the new loop state when the user toggles looping
+        this.onLoopChange = null;
+        
+        // DOM elements
+        this.bar = document.getElementById('transportBar');
+        this.playPauseButton = document.getElementById('playPauseButton');
+        this.seekBar = document.getElementById('seekBar');
+        this.elapsedTime = document.getElementById('elapsedTime');
+        this.totalTime = document.getElementById('totalTime');
+        this.muteButton = document.getElementById('muteButton');
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.loopButton = document.getElementById('loopButton');
+        
+        // Bound element listeners so they can be removed on detach
+        this.elementListeners = {
+            timeupdate: () => this.updateTime(),
+            durationchange: () => this.updateTime(),
+            play: () => this.updatePlayState(),
+            pause: () => this.updatePlayState()
+        };
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup UI event listeners
+     */
+    setupEventListeners() {
+        this.playPauseButton.addEventListener('click', () => this.togglePlay());
+        this.muteButton.addEventListener('click', () => this.toggleMute());
+        this.loopButton.addEventListener('click', () => this.toggleLoop());
+        
+        this.volumeSlider.addEventListener('input', (e) => {
+            this.setVolume(parseInt(e.target.value) / 100);
+        });
+        
+        // Scrubbing: preview while dragging, seek on release
+        this.seekBar.addEventListener('input', (e) => {
+            this.isSeeking = true;
+            const duration = this.getDuration();
+            this.elapsedTime.textContent = TransportControls.formatTime(e.target.value / 1000 * duration);
+        });
+        
+        this.seekBar.addEventListener('change', (e) => {
+            this.isSeeking = false;
+            this.seek(e.target.value / 1000 * this.getDuration());
+        });
+    }
+
+    /**
+     * Bind the transport to an audio element and show the bar
+     */
+    attach(audioElement) {
+        this.detach();
+        
+        this.audioElement = audioElement;
+        Object.entries(this.elementListeners).forEach(([eventName, listener]) => {
+            audioElement.addEventListener(eventName, listener);
+        });
+        
+        this.bar.style.display = 'flex';
+        this.updateTime();
+        this.updatePlayState();
+        this.updateLoopState();
+        this.updateVolumeState();
+    }
+
+    /**
+     * Unbind from the current audio element and hide the bar
+     */
+    detach() {
+        if (this.audioElement) {
+            Object.entries(this.elementListeners).forEach(([eventName, listener]) => {
+                this.audioElement.removeEventListener(eventName, listener);
+            });
+            this.audioElement = null;
+        }
+        
+        this.bar.style.display = 'none';
+    }
+
+    /**
+     * Toggle play/pause (visualizers keep running while paused)
+     */
+    async togglePlay() {
+        if (!this.audioElement) return;
+        
+        if (this.audioElement.paused) {
+            try {
+                await this.audioElement.play();
+            } catch (error) {
+                console.error('Playback failed:', error);
+            }
+        } else {
+            this.audioElement.pause();
+        }
+    }
+
+    /**
+     * Seek to a time in seconds
+     */
+    seek(seconds) {
+        if (!this.audioElement) return;
+        
+        const duration = this.getDuration();
+        this.audioElement.currentTime = Math.max(0, Math.min(duration || 0, seconds));
+        this.updateTime();
+    }
+
+    /**
+     * Seek relative to the current position
+     */
+    skip(seconds) {
+        if (!this.audioElement) return;
+        this.seek(this.audioElement.currentTime + seconds);
+    }
+
+    /**
+     * Set playback volume (0-1); analysis is not affected
+     */
+    setVolume(volume) {
+        this.audioEngine.setVolume(volume);
+        if (volume > 0 && this.audioEngine.muted) {
+            this.audioEngine.setMuted(false);
+        }
+        this.updateVolumeState();
+    }
+
+    /**
+     * Toggle mute
+     */
+    toggleMute() {
+        this.audioEngine.setMuted(!this.audioEngine.muted);
+        this.updateVolumeState();
+    }
+
+    /**
+     * Toggle looping of the current file
+     */
+    toggleLoop() {
+        if (!this.audioElement) return;
+        
+        this.setLoop(!this.audioElement.loop);
+        if (this.onLoopChange) {
+            this.onLoopChange(this.audioElement.loop);
+        }
+    }
+
+    /**
+     * Loop the current file or let it end
+     */
+    setLoop(loop) {
+        if (!this.audioElement) return;
+        
+        this.audioElement.loop = loop;
+        this.updateLoopState();
+    }
+
+    /**
+     * Handle transport keyboard shortcuts
+     * Returns true when the key was handled
+     */
+    handleKeydown(e) {
+        if (!this.audioElement) return false;
+        
+        // Leave keys to focused form controls (sliders, buttons)
+        if (e.target && e.target.closest && e.target.closest('input, select, textarea, button')) return false;
+        
+        switch (e.code) {
+            case 'Space':
+            case 'KeyK':
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                this.skip(e.shiftKey ? -30 : -5);
+                break;
+            case 'ArrowRight':
+                this.skip(e.shiftKey ? 30 : 5);
+                break;
+            case 'ArrowUp':
+                this.setVolume(Math.min(1, this.audioEngine.volume + 0.1));
+                break;
+            case 'ArrowDown':
+                this.setVolume(Math.max(0, this.audioEngine.volume - 0.1));
+                break;
+            case 'KeyM':
+                this.toggleMute();
+                break;
+            case 'KeyL':
+                this.toggleLoop();
+                break;
+            default:
+                return false;
+        }
+        
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Duration of the current file in seconds (0 if unknown)
+     */
+    getDuration() {
+        if (!this.audioElement || !isFinite(this.audioElement.duration)) return 0;
+        return this.audioElement.duration;
+    }
+
+    /**
+     * Update elapsed/total time and the timeline position
+     */
+    updateTime() {
+        if (!this.audioElement || this.isSeeking) return;
+        
+        const duration = this.getDuration();
+        const currentTime = this.audioElement.currentTime;
+        
+        this.elapsedTime.textContent = TransportControls.formatTime(currentTime);
+        this.totalTime.textContent = TransportControls.formatTime(duration);
+        this.seekBar.value = duration > 0 ? Math.round(currentTime / duration * 1000) : 0;
+    }
+
+    /**
+     * Update the play/pause button
+     */
+    updatePlayState() {
+        const paused = !this.audioElement || this.audioElement.paused;
+        this.playPauseButton.textContent = paused ? '▶' : '⏸';
+        this.playPauseButton.title = paused ? 'Play (Space)' : 'Pause (Space)';
+    }
+
+    /**
+     * Update the loop button
+     */
+    updateLoopState() {
+        const looping = Boolean(this.audioElement && this.audioElement.loop);
+        this.loopButton.classList.toggle('active', looping);
+        this.loopButton.title = looping ? 'Loop on (L)' : 'Loop off (L)';
+    }
+
+    /**
+     * Update the volume slider and mute button
+     */
+    updateVolumeState() {
+        const muted = this.audioEngine.muted || this.audioEngine.volume === 0;
+        this.volumeSlider.value = Math.round(this.audioEngine.volume * 100);
+        this.muteButton.textContent = muted ? '🔇' : '🔊';
+        this.muteButton.classList.toggle('active', muted);
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    static formatTime(seconds) {
+        if (!isFinite(seconds) || seconds < 0) seconds = 0;
+        
+        const minutes = Math.floor(seconds / 60);
+        const remainder = Math.floor(seconds % 60);
+        return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Auto Director
+ * Unattended playback: watches the music for section changes and switches
+ * visualizer (or Fractal mode) when one happens, after a minimum dwell time.
+ * The next visualizer is picked by weighted random or round-robin among the
+ * registered visualizers; a weight of 0 leaves one out.
+ */
+class AutoDirector {
+    constructor(options = {}) {
+        this.detector = new SectionDetector(options.detector);
+        
+        this.enabled = false;
+        this.selection = 'random'; // See AutoDirector.SELECTIONS
+        this.minDwell = 20; // Seconds of audio between changes
+        this.fractalModes = true; // Energy shifts change the Fractal mode instead of the visualizer
+        this.weights = {}; // By visualizer key, 1 when unset
+        
+        this.lastChangeTime = null;
+        this.lastSection = null;
+        
+        this.onSwitch = null; // (key, section) => void
+        this.onFractalMode = null; // (section) => void, picks a mode with pickFractalMode()
+    }
+
+    /**
+     * Turn the director on or off; the dwell time starts over
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        this.detector.reset();
+        this.lastChangeTime = null;
+    }
+
+    /**
+     * 'random' (weighted) or 'roundRobin'
+     */
+    setSelection(selection) {
+        if (!AutoDirector.SELECTIONS.includes(selection)) return;
+        this.selection = selection;
+    }
+
+    /**
+     * Minimum seconds between changes
+     */
+    setMinDwell(seconds) {
+        this.minDwell = Math.max(1, seconds);
+    }
+
+    /**
+     * Let energy shifts on the Fractal change its mode
+     */
+    setFractalModes(enabled) {
+        this.fractalModes = Boolean(enabled);
+    }
+
+    /**
+     * Relative chance of a visualizer being picked (0-5, 0 = never)
+     */
+    setWeight(key, weight) {
+        this.weights[key] = Math.max(0, Math.min(5, weight));
+    }
+
+    /**
+     * Weight of a visualizer
+     */
+    getWeight(key) {
+        return this.weights[key] !== undefined ? this.weights[key] : 1;
+    }
+
+    /**
+     * A manual switch also restarts the dwell time
+     */
+    notifySwitch() {
+        this.lastChangeTime = this.detector.lastTime;
+    }
+
+    /**
+     * Feed an analysis frame; acts on a section change once the dwell time is over
+     * keys are the available visualizers in order, currentKey the active one
+     */
+    update(frame, currentKey, keys) {
+        if (!this.enabled || !frame) return null;
+        
+        const section = this.detector.update(frame.raw || frame);
+        const time = this.detector.lastTime;
+        if (this.lastChangeTime === null || time < this.lastChangeTime) {
+            this.lastChangeTime = time;
+        }
+        
+        if (!section) return null;
+        this.lastSection = section;
+        if (time - this.lastChangeTime < this.minDwell) return null;
+        
+        // A shift on the Fractal is a mode change, drops and breakdowns change the visualizer
+        if (currentKey === 'fractal' && this.fractalModes && section.type === 'shift' && this.onFractalMode) {
+            this.lastChangeTime = time;
+            this.onFractalMode(section);
+            return section;
+        }
+        
+        const key = this.pickNext(currentKey, keys);
+        if (!key) return null;
+        
+        this.lastChangeTime = time;
+        if (this.onSwitch) {
+            this.onSwitch(key, section);
+        }
+        return section;
+    }
+
+    /**
+     * Next visualizer after currentKey: the following one with a weight, or a weighted random pick
+     */
+    pickNext(currentKey, keys) {
+        const candidates = keys.filter(key => key !== currentKey && this.getWeight(key) > 0);
+        if (candidates.length === 0) return null;
+        
+        if (this.selection === 'roundRobin') {
+            const start = keys.indexOf(currentKey);
+            for (let step = 1; step <= keys.length; step++) {
+                const key = keys[(start + step) % keys.length];
+                if (candidates.includes(key)) return key;
+            }
+        }
+        
+        const total = candidates.reduce((sum, key) => sum + this.getWeight(key), 0);
+        let pick = Math.random() * total;
+        for (const key of candidates) {
+            pick -= this.getWeight(key);
+            if (pick < 0) return key;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Fractal mode to switch to: the next one for round-robin, another random one otherwise
+     */
+    pickFractalMode(currentMode) {
+        const modes = FractalVisualizer.MODES;
+        const index = modes.indexOf(currentMode);
+        if (this.selection === 'roundRobin') {
+            return modes[(index + 1) % modes.length];
+        }
+        
+        const others = modes.filter(mode => mode !== currentMode);
+        return others[Math.floor(Math.random() * others.length)];
+    }
+}
+
+/**
+ * Selection strategies
+ */
+AutoDirector.SELECTIONS = ['random', 'roundRobin'];
+
+/**
+ * Display names of section changes
+ */
+AutoDirector.SECTION_LABELS = {
+    drop: 'Drop',
+    breakdown: 'Breakdown',
+    shift: 'Energy shift'
+};
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * Bars Visualizer
+ * Classic bar spectrum analyzer: 1/3-octave or N log-spaced bands with
+ * peak-hold caps, plain / mirrored / reflection styles, a dB grid and
+ * optional LED segments. Bar heights follow the dB grid exactly, so
+ * sensitivity and auto level do not rescale them.
+ */
+class BarsVisualizer extends BaseVisualizer {
+    constructor(options = {}) {
+        super('barsCanvas', options);
+        
+        this.canvas = this.container;
+        this.ctx = this.canvas.getContext('2d');
+        
+        this.bandLayout = 'third-octave'; // 'third-octave' or a band count for log spacing
+        this.style = 'bars'; // 'bars', 'mirrored' or 'reflection'
+        this.led = true;
+        this.peakHold = true;
+        this.minHz = 20;
+        this.maxHz = 20000;
+        
+        // Ballistics in full scale per second: bars rise instantly and fall smoothly
+        this.fallRate = 0.6;
+        this.peakHoldTime = 1; // Seconds a cap stays before falling
+        this.peakFallRate = 0.4;
+        
+        // LED segment geometry (pixels)
+        this.segmentHeight = 6;
+        this.segmentGap = 2;
+        
+        this.margin = { left: 44, right: 12, top: 12, bottom: 22 };
+        this.bands = null; // [{ lowHz, highHz, centerHz, label }]
+        this.levels = null; // Displayed level per band (0-1), [upper, lower] for the two halves
+        this.peaks = null;
+        this.lastTime = null;
+        
+        // Fine resolution for the narrow low 1/3-octave bands
+        this.setDefaultAnalysisSettings({ fftSize: 8192, smoothingTimeConstant: 0.5 });
+        
+        this.setBandLayout(this.bandLayout);
+        
+        // Initialize canvas size
+        this.resize();
+        
+        // Add resize listener
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
+    }
+
+    /**
+     * Resize canvas to fit container
+     */
+    resize() {
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+    }
+
+    /**
+     * Use 1/3-octave bands ('third-octave') or a number of log-spaced bands
+     */
+    setBandLayout(layout) {
+        this.bandLayout = layout === 'third-octave' ? layout : Math.max(4, parseInt(layout) || 32);
+        this.bands = this.bandLayout === 'third-octave'
+            ? BarsVisualizer.createThirdOctaveBands()
+            : BarsVisualizer.createLogBands(this.bandLayout, this.minHz, this.maxHz);
+        
+        // Two halves for the mirrored stereo view
+        this.levels = [new Float32Array(this.bands.length), new Float32Array(this.bands.length)];
+        this.peaks = [0, 1].map(() => this.bands.map(() => ({ level: 0, time: 0 })));
+    }
+
+    /**
+     * Set the drawing style ('bars', 'mirrored' or 'reflection')
+     */
+    setStyle(style) {
+        if (!BarsVisualizer.STYLES.includes(style)) return;
+        this.style = style;
+    }
+
+    /**
+     * Toggle LED segments (off = solid bars)
+     */
+    setLed(enabled) {
+        this.led = Boolean(enabled);
+    }
+
+    /**
+     * Toggle peak-hold caps
+     */
+    setPeakHold(enabled) {
+        this.peakHold = Boolean(enabled);
+    }
+
+    /**
+     * Copy band layout, style, LED and peak-hold settings
+     */
+    copySettingsFrom(template) {
+        this.setBandLayout(template.bandLayout);
+        this.setStyle(template.style);
+        this.setLed(template.led);
+        this.setPeakHold(template.peakHold);
+    }
+
+    /**
+     * Main render function
+     */
+    render() {
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        if (!this.frame) return;
+        
+        const time = this.frame.time;
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        
+        // Mirrored stereo: left channel up, right channel down
+        const stereo = this.style === 'mirrored' && this.stereoMode ? this.getStereo() : null;
+        const frame = this.frame.raw || this.frame;
+        const upper = stereo ? stereo.left.frequencyData : frame.frequencyData;
+        const lower = stereo ? stereo.right.frequencyData : upper;
+        
+        this.updateLevels(0, upper, elapsed, time);
+        if (this.style === 'mirrored') {
+            this.updateLevels(1, lower, elapsed, time);
+        }
+        
+        const plot = this.getPlotArea();
+        
+        if (this.style === 'mirrored') {
+            const center = plot.top + plot.height / 2;
+            this.drawGrid(center, plot.height / 2, -1);
+            this.drawGrid(center, plot.height / 2, 1);
+            this.drawBars(0, plot, center, plot.height / 2, -1);
+            this.drawBars(1, plot, center, plot.height / 2, 1);
+        } else if (this.style === 'reflection') {
+            const base = plot.top + plot.height * 0.75;
+            this.drawGrid(base, plot.height * 0.75, -1);
+            this.drawBars(0, plot, base, plot.height * 0.75, -1);
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.2;
+            this.drawBars(0, plot, base + 2, plot.height * 0.25, 1);
+            this.ctx.restore();
+        } else {
+            const base = plot.top + plot.height;
+            this.drawGrid(base, plot.height, -1);
+            this.drawBars(0, plot, base, plot.height, -1);
+        }
+        
+        this.drawFrequencyLabels(plot);
+    }
+
+    /**
+     * Plot rectangle inside the axis margins
+     */
+    getPlotArea() {
+        return {
+            left: this.margin.left,
+            top: this.margin.top,
+            width: Math.max(1, this.canvas.width - this.margin.left - this.margin.right),
+            height: Math.max(1, this.canvas.height - this.margin.top - this.margin.bottom)
+        };
+    }
+
+    /**
+     * Apply bar and peak ballistics for one half
+     */
+    updateLevels(half, frequencyData, elapsed, time) {
+        const binHz = (this.frame.sampleRate / 2) / frequencyData.length;
+        const levels = this.levels[half];
+        const peaks = this.peaks[half];
+        
+        this.bands.forEach((band, i) => {
+            const target = BarsVisualizer.getBandLevel(frequencyData, binHz, band.lowHz, band.highHz);
+            levels[i] = Math.max(target, levels[i] - this.fallRate * elapsed);
+            
+            const peak = peaks[i];
+            if (levels[i] >= peak.level) {
+                peak.level = levels[i];
+                peak.time = time;
+            } else if (time - peak.time > this.peakHoldTime) {
+                peak.level = Math.max(levels[i], peak.level - this.peakFallRate * elapsed);
+            }
+        });
+    }
+
+    /**
+     * Draw one half of the bars growing from base (direction -1 = up, 1 = down)
+     */
+    drawBars(half, plot, base, maxHeight, direction) {
+        const count = this.bands.length;
+        const slot = plot.width / count;
+        const gap = Math.max(1, Math.floor(slot * 0.2));
+        const width = Math.max(1, slot - gap);
+        const levels = this.levels[half];
+        
+        if (this.led) {
+            this.drawSegments(levels, plot, slot, width, base, maxHeight, direction);
+        } else {
+            const gradient = this.ctx.createLinearGradient(0, base, 0, base + direction * maxHeight);
+            gradient.addColorStop(0, '#006b1b');
+            gradient.addColorStop(0.7, '#00ff41');
+            gradient.addColorStop(1, '#ccffd5');
+            this.ctx.fillStyle = gradient;
+            
+            for (let i = 0; i < count; i++) {
+                const height = levels[i] * maxHeight;
+                const x = plot.left + i * slot + gap / 2;
+                this.ctx.fillRect(x, direction < 0 ? base - height : base, width, height);
+            }
+        }
+        
+        if (this.peakHold) {
+            this.ctx.fillStyle = '#ccffd5';
+            this.peaks[half].forEach((peak, i) => {
+                if (peak.level <= 0.01) return;
+                const x = plot.left + i * slot + gap / 2;
+                const y = base + direction * peak.level * maxHeight;
+                this.ctx.fillRect(x, direction < 0 ? y - 2 : y, width, 2);
+            });
+        }
+    }
+
+    /**
+     * LED bars: segments are grouped by color so each color is a single fill
+     */
+    drawSegments(levels, plot, slot, width, base, maxHeight, direction) {
+        const step = this.segmentHeight + this.segmentGap;
+        const segmentCount = Math.max(1, Math.floor(maxHeight / step));
+        const colors = BarsVisualizer.LED_COLORS;
+        const groups = colors.map(() => []); // Lit segments per color
+        const unlit = [];
+        
+        for (let i = 0; i < levels.length; i++) {
+            const x = plot.left + i * slot + (slot - width) / 2;
+            const lit = Math.round(levels[i] * segmentCount);
+            
+            for (let segment = 0; segment < segmentCount; segment++) {
+                const offset = segment * step;
+                const y = direction < 0 ? base - offset - this.segmentHeight : base + offset + this.segmentGap;
+                
+                if (segment < lit) {
+                    const position = segment / segmentCount;
+                    groups[colors.findIndex(color => position < color.until)].push(x, y);
+                } else {
+                    unlit.push(x, y);
+                }
+            }
+        }
+        
+        this.fillSegments(unlit, width, 'rgba(0, 255, 65, 0.06)');
+        colors.forEach((color, index) => this.fillSegments(groups[index], width, color.color));
+    }
+
+    /**
+     * Fill segments given as flat x, y pairs in one path
+     */
+    fillSegments(positions, width, color) {
+        if (positions.length === 0) return;
+        
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        for (let i = 0; i < positions.length; i += 2) {
+            this.ctx.rect(positions[i], positions[i + 1], width, this.segmentHeight);
+        }
+        this.ctx.fill();
+    }
+
+    /**
+     * Horizontal lines every 10 dB with labels (direction -1 = up from base, 1 = down)
+     */
+    drawGrid(base, maxHeight, direction) {
+        const { minDecibels, maxDecibels } = this.analysisSettings;
+        const range = maxDecibels - minDecibels;
+        
+        this.ctx.font = '11px "Source Code Pro", monospace';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 1;
+        
+        for (let db = Math.ceil(minDecibels / 10) * 10; db <= maxDecibels; db += 10) {
+            const y = Math.round(base + direction * ((db - minDecibels) / range) * maxHeight) + 0.5;
+            
+            this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.12)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.margin.left, y);
+            this.ctx.lineTo(this.canvas.width - this.margin.right, y);
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = 'rgba(0, 255, 65, 0.7)';
+            this.ctx.fillText(`${db}`, this.margin.left - 6, y);
+        }
+    }
+
+    /**
+     * Band frequency labels along the bottom, thinned out to fit
+     */
+    drawFrequencyLabels(plot) {
+        const slot = plot.width / this.bands.length;
+        const every = Math.max(1, Math.ceil(48 / slot));
+        const y = this.canvas.height - this.margin.bottom / 2;
+        
+        this.ctx.font = '11px "Source Code Pro", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(0, 255, 65, 0.7)';
+        
+        this.bands.forEach((band, i) => {
+            if (i % every !== 0) return;
+            this.ctx.fillText(band.label, plot.left + (i + 0.5) * slot, y);
+        });
+    }
+
+    /**
+     * Loudest bin (0-1) between two frequencies; bands narrower than a bin read the bin at their center
+     */
+    static getBandLevel(frequencyData, binHz, lowHz, highHz) {
+        const last = frequencyData.length - 1;
+        const first = Math.ceil(lowHz / binHz);
+        const end = Math.min(last, Math.floor(highHz / binHz));
+        
+        if (end < first) {
+            return frequencyData[Math.min(last, Math.round((lowHz + highHz) / 2 / binHz))] / 255;
+        }
+        
+        let max = 0;
+        for (let bin = first; bin <= end; bin++) {
+            max = Math.max(max, frequencyData[bin]);
+        }
+        return max / 255;
+    }
+
+    /**
+     * ISO 1/3-octave bands from 25 Hz to 20 kHz (base-2 centers, nominal labels)
+     */
+    static createThirdOctaveBands() {
+        return BarsVisualizer.THIRD_OCTAVE_LABELS.map((label, i) => {
+            const centerHz = 1000 * Math.pow(2, (i - 16) / 3);
+            return {
+                lowHz: centerHz / Math.pow(2, 1 / 6),
+                highHz: centerHz * Math.pow(2, 1 / 6),
+                centerHz,
+                label
+            };
+        });
+    }
+
+    /**
+     * count bands with log-spaced edges between minHz and maxHz
+     */
+    static createLogBands(count, minHz, maxHz) {
+        const ratio = maxHz / minHz;
+        const bands = [];
+        
+        for (let i = 0; i < count; i++) {
+            const lowHz = minHz * Math.pow(ratio, i / count);
+            const highHz = minHz * Math.pow(ratio, (i + 1) / count);
+            const centerHz = Math.sqrt(lowHz * highHz);
+            bands.push({ lowHz, highHz, centerHz, label: SpectrogramVisualizer.formatFrequency(centerHz < 1000 ? centerHz : Math.round(centerHz / 100) * 100, 1) });
+        }
+        
+        return bands;
+    }
+}
+
+/**
+ * Drawing styles
+ */
+BarsVisualizer.STYLES = ['bars', 'mirrored', 'reflection'];
+
+/**
+ * LED colors by height (share of full scale)
+ */
+BarsVisualizer.LED_COLORS = [
+    { until: 0.6, color: '#00b32d' },
+    { until: 0.85, color: '#00ff41' },
+    { until: Infinity, color: '#ccffd5' }
+];
+
+/**
+ * Nominal 1/3-octave center frequencies, 25 Hz to 20 kHz
+ */
+BarsVisualizer.THIRD_OCTAVE_LABELS = [
+    '25', '31.5', '40', '50', '63', '80', '100', '125', '160', '200',
+    '250', '315', '400', '500', '630', '800', '1k', '1.25k', '1.6k', '2k',
+    '2.5k', '3.15k', '4k', '5k', '6.3k', '8k', '10k', '12.5k', '16k', '20k'
+];
+
+VisualizerRegistry.register({
+    id: 'bars',
+    label: 'Bars',
+    icon: '📊',
+    name: 'Bar Analyzer',
+    shortcut: 'Digit6',
+    container: 'canvas',
+    visualizerClass: BarsVisualizer,
+    createControls: (visualizer) => new BarsControls(visualizer)
+});
\ No newline at end of file
@@ -3,166 +3,268 @@
  * Provides common functionality for all audio visualizers
  */
 class BaseVisualizer {
-    constructor(containerId) {
+    constructor(containerId, options = {}) {
         this.containerId = containerId;
-        this.container = document.getElementById(containerId);
-        this.audioContext = null;
-        this.analyser = null;
+        this.container = options.container || document.getElementById(containerId);
+        
+        // Fixed output size for offline rendering instead of following the page layout
+        this.fixedSize = options.width && options.height ? { width: options.width, height: options.height } : null;
+        
+        // Random source; seeded so offline renders are reproducible
+        this.random = options.seed !== undefined ? BaseVisualizer.createRandom(options.seed) : Math.random;
+        
+        this.audioEngine = null;
+        this.frame = null; // Read-only analysis frame from the audio engine
         this.dataArray = null;
         this.frequencyData = null;
         this.isActive = false;
         this.animationId = null;
         this.sensitivity = 50; // Default sensitivity
         
-        // Audio processing parameters
-        this.fftSize = 2048;
-        this.smoothingTimeConstant = 0.8;
-        
         // Performance monitoring
         this.lastFrameTime = performance.now();
         this.frameCount = 0;
         this.fps = 0;
+        
+        // Beat/onset event subscribers
+        this.listeners = {};
+        
+        // 'spectrum' maps the loudest bin to hue, 'chroma' maps the detected note to hue
+        this.colorMode = 'spectrum';
+        this.hueShift = 0; // Degrees added to every audio-driven hue
+        
+        // Lock animation to the detected beat instead of wall-clock time
+        this.tempoSync = false;
+        
+        // Drive the left and right side of the visualization from separate channels
+        this.stereoMode = false;
+        
+        // Analyser settings requested from the audio engine (subclasses declare their own defaults)
+        this.defaultAnalysisSettings = { ...AudioEngine.DEFAULT_ANALYSIS };
+        this.analysisSettings = { ...this.defaultAnalysisSettings };
     }
 
     /**
-     * Initialize audio context and analyser
+     * Subscribe to visualizer events ('beat', 'onset', 'render')
      */
-    async initAudio() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = this.fftSize;
-            this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
-            
-            try {
-                // Try to get microphone access
-                const stream = await navigator.mediaDevices.getUserMedia({ 
-                    audio: true, 
-                    video: false 
-                });
-                
-                const source = this.audioContext.createMediaStreamSource(stream);
-                source.connect(this.analyser);
-                this.usingMicrophone = true;
-            } catch (micError) {
-                console.warn('Microphone access denied, using demo mode:', micError.message);
-                // Create demo mode with oscillator
-                this.createDemoAudio();
-                this.usingMicrophone = false;
-            }
-            
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
-            
-            return true;
-        } catch (error) {
-            console.error('Error initializing audio:', error);
-            throw new Error(`Audio initialization failed: ${error.message}`);
+    on(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
         }
+        this.listeners[eventName].push(callback);
+        return this;
     }
 
     /**
-     * Create demo audio for testing without microphone
+     * Unsubscribe from visualizer events
      */
-    createDemoAudio() {
-        // Create multiple oscillators for rich demo sound
-        this.demoOscillators = [];
-        this.demoGain = this.audioContext.createGain();
-        this.demoGain.gain.value = 0.1;
-        this.demoGain.connect(this.analyser);
+    off(eventName, callback) {
+        if (!this.listeners[eventName]) return this;
         
-        // Create oscillators with different frequencies
-        const frequencies = [220, 330, 440, 660];
-        frequencies.forEach((freq, index) => {
-            const oscillator = this.audioContext.createOscillator();
-            const gain = this.audioContext.createGain();
-            
-            oscillator.frequency.setValueAtTime(freq, this.audioContext.currentTime);
-            oscillator.type = 'sine';
-            gain.gain.value = 0.25;
-            
-            oscillator.connect(gain);
-            gain.connect(this.demoGain);
-            
-            this.demoOscillators.push({ oscillator, gain, baseFreq: freq });
-        });
-        
-        // Start demo animation
-        this.startDemoAnimation();
+        this.listeners[eventName] = this.listeners[eventName].filter(listener => listener !== callback);
+        return this;
     }
 
     /**
-     * Start demo animation with varying frequencies
+     * Notify subscribers of an event
      */
-    startDemoAnimation() {
-        if (!this.demoOscillators) return;
+    emit(eventName, payload) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
         
-        this.demoOscillators.forEach(({ oscillator }) => {
-            oscillator.start();
+        listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${eventName} listener:`, error);
+            }
         });
-        
-        // Animate frequencies
-        this.demoAnimationId = setInterval(() => {
-            const time = this.audioContext.currentTime;
-            this.demoOscillators.forEach(({ oscillator, gain, baseFreq }, index) => {
-                const variation = Math.sin(time * (0.5 + index * 0.3)) * 100;
-                const newFreq = baseFreq + variation;
-                oscillator.frequency.setValueAtTime(newFreq, time);
-                
-                const gainVariation = (Math.sin(time * (0.8 + index * 0.2)) + 1) * 0.25;
-                gain.gain.setValueAtTime(gainVariation, time);
-            });
-        }, 100);
     }
 
     /**
-     * Update audio data from analyser
+     * Attach the audio engine that supplies analysis frames
      */
-    updateAudioData() {
-        if (!this.analyser) return;
+    setAudioEngine(audioEngine) {
+        this.audioEngine = audioEngine;
+    }
+
+    /**
+     * Pull the current analysis frame from the audio engine
+     * All visualizers rendering at the same timestamp share one frame
+     */
+    updateAudioData(timestamp) {
+        if (!this.audioEngine) return;
         
-        // Get frequency data
-        this.analyser.getByteFrequencyData(this.frequencyData);
+        const frame = this.audioEngine.getFrame(timestamp, this.analysisSettings);
+        if (!frame || frame === this.frame) return;
         
-        // Get time domain data for waveform
-        this.analyser.getByteTimeDomainData(this.dataArray);
+        this.setFrame(frame);
     }
 
     /**
-     * Calculate average frequency (volume)
+     * Consume an analysis frame and emit its beat/onset events
      */
-    getAverageFrequency() {
-        if (!this.frequencyData) return 0;
+    setFrame(frame) {
+        this.frame = frame;
+        this.frequencyData = frame.frequencyData;
+        this.dataArray = frame.timeDomainData;
         
-        const sum = this.frequencyData.reduce((a, b) => a + b, 0);
-        return (sum / this.frequencyData.length) / 128.0; // Normalized 0-1
+        frame.events.forEach(event => this.emit(event.type, event));
+    }
+
+    /**
+     * Render a single frame outside the animation loop (offline export)
+     */
+    renderFrame(frame) {
+        this.setFrame(frame);
+        this.render();
+    }
+
+    /**
+     * Canvas the visualizer draws into
+     */
+    getCanvas() {
+        return this.canvas || null;
+    }
+
+    /**
+     * Get the detected pitch { frequency, note, octave, cents, pitchClass, ... } or null
+     */
+    getPitch() {
+        return this.frame ? this.frame.pitch : null;
+    }
+
+    /**
+     * Get tempo state { bpm, confidence, locked, beatPosition, phase, beat, bar, barPhase }
+     */
+    getTempo() {
+        return this.frame ? this.frame.tempo : null;
+    }
+
+    /**
+     * Whether animation should follow the beat clock this frame
+     */
+    isTempoLocked() {
+        return this.tempoSync && Boolean(this.frame) && this.frame.tempo.locked;
+    }
+
+    /**
+     * Enable or disable locking animation to the detected tempo
+     */
+    setTempoSync(enabled) {
+        this.tempoSync = Boolean(enabled);
+    }
+
+    /**
+     * Get stereo analysis { left, right, mid, side, balance, width, correlation } or null
+     */
+    getStereo() {
+        return this.frame ? this.frame.stereo : null;
+    }
+
+    /**
+     * Enable or disable stereo-aware rendering
+     */
+    setStereoMode(enabled) {
+        this.stereoMode = Boolean(enabled);
+    }
+
+    /**
+     * Declare the analyser settings this visualizer works best with
+     */
+    setDefaultAnalysisSettings(settings) {
+        this.defaultAnalysisSettings = { ...AudioEngine.DEFAULT_ANALYSIS, ...settings };
+        this.analysisSettings = { ...this.defaultAnalysisSettings };
+    }
+
+    /**
+     * Change analyser settings { fftSize, smoothingTimeConstant, minDecibels, maxDecibels }
+     */
+    setAnalysisSettings(settings) {
+        this.analysisSettings = AudioEngine.normalizeAnalysisSettings({ ...this.analysisSettings, ...settings });
+    }
+
+    /**
+     * Go back to the visualizer's own analyser settings
+     */
+    resetAnalysisSettings() {
+        this.analysisSettings = { ...this.defaultAnalysisSettings };
+    }
+
+    /**
+     * Overall level (volume) 0-1, the mean of log-spaced bands (see BandAnalyzer.getLevel)
+     */
+    getAverageFrequency() {
+        return this.frame ? this.frame.volume : 0;
+    }
+
+    /**
+     * Get smoothed named frequency bands (0-1)
+     * { sub, bass, lowMid, mid, high, air }
+     */
+    getBands() {
+        return this.frame ? this.frame.bands : {};
+    }
+
+    /**
+     * Get a single named band level (0-1)
+     */
+    getBand(name) {
+        return this.getBands()[name] || 0;
+    }
+
+    /**
+     * Get N smoothed log- or mel-spaced bands (0-1)
+     */
+    getLogBands(count, scale = 'log') {
+        return this.frame ? this.frame.getLogBands(count, scale) : new Float32Array(count);
     }
 
     /**
      * Get dominant frequency for color mapping
      */
     getDominantFrequency() {
-        if (!this.frequencyData) return 0;
-        
-        let maxIndex = 0;
-        let maxValue = 0;
+        return this.frame ? this.frame.dominantFrequency : 0; // Normalized 0-1
+    }
+
+    /**
+     * Get hue (0-360) for the current color mode
+     */
+    getColorHue() {
+        let hue = this.getDominantFrequency() * 360;
         
-        for (let i = 0; i < this.frequencyData.length; i++) {
-            if (this.frequencyData[i] > maxValue) {
-                maxValue = this.frequencyData[i];
-                maxIndex = i;
+        if (this.colorMode === 'chroma') {
+            const pitch = this.getPitch();
+            if (pitch) {
+                this.lastChromaHue = PitchDetector.pitchClassToHue(pitch.pitchClass);
+            }
+            if (this.lastChromaHue !== undefined) {
+                hue = this.lastChromaHue;
             }
         }
         
-        return maxIndex / this.frequencyData.length; // Normalized 0-1
+        return (hue + this.hueShift) % 360;
+    }
+
+    /**
+     * Rotate all audio-driven colors by a number of degrees
+     */
+    setHueShift(degrees) {
+        this.hueShift = ((degrees % 360) + 360) % 360;
+    }
+
+    /**
+     * Set color mode ('spectrum' or 'chroma')
+     */
+    setColorMode(mode) {
+        this.colorMode = mode === 'chroma' ? 'chroma' : 'spectrum';
     }
 
     /**
      * Get color based on frequency data
      */
     getFrequencyColor(alpha = 1) {
-        const dominantFreq = this.getDominantFrequency();
-        const hue = dominantFreq * 360;
+        const hue = this.getColorHue();
         const saturation = Math.min(100, 70 + this.getAverageFrequency() * 30);
         const lightness = Math.min(80, 40 + this.getAverageFrequency() * 40);
         
@@ -176,6 +278,15 @@ class BaseVisualizer {
         this.sensitivity = Math.max(10, Math.min(200, value));
     }
 
+    /**
+     * Take over a template's own settings (offline export copies)
+     * createVisualizer(template) builds fresh copies of nested visualizers; the shared
+     * settings (sensitivity, color mode, tempo sync, stereo, analysis) are copied by the caller
+     */
+    copySettingsFrom(template, createVisualizer) {
+        // Visualizers with settings of their own override this
+    }
+
     /**
      * Calculate FPS
      */
@@ -224,14 +335,15 @@ class BaseVisualizer {
     /**
      * Main animation loop
      */
-    animate() {
+    animate(timestamp = performance.now()) {
         if (!this.isActive) return;
         
-        this.updateAudioData();
+        this.updateAudioData(timestamp);
         this.updateFPS();
         this.render();
+        this.emit('render', this);
         
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.animationId = requestAnimationFrame((nextTimestamp) => this.animate(nextTimestamp));
     }
 
     /**
@@ -246,24 +358,20 @@ class BaseVisualizer {
      */
     destroy() {
         this.stop();
-        
-        // Stop demo audio if running
-        if (this.demoAnimationId) {
-            clearInterval(this.demoAnimationId);
-        }
-        
-        if (this.demoOscillators) {
-            this.demoOscillators.forEach(({ oscillator }) => {
-                try {
-                    oscillator.stop();
-                } catch (e) {
-                    // Oscillator might already be stopped
-                }
-            });
-        }
-        
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.close();
-        }
+        this.listeners = {};
+    }
+
+    /**
+     * Seeded pseudo-random generator (mulberry32) returning values in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 }
\ No newline at end of file
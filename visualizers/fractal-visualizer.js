@@ -4,8 +4,8 @@
  * Combines audio-reactive fractals, Fourier transforms, and mathematical beauty
  */
 class FractalVisualizer extends BaseVisualizer {
-    constructor() {
-        super('fractalCanvas');
+    constructor(options = {}) {
+        super('fractalCanvas', options);
         
         this.canvas = this.container;
         this.ctx = this.canvas.getContext('2d');
@@ -23,6 +23,9 @@ class FractalVisualizer extends BaseVisualizer {
         this.fourierRadius = 100;
         this.fourierSpeed = 0.02;
         
+        // High frequency resolution for the radial spectrum
+        this.setDefaultAnalysisSettings({ fftSize: 4096, smoothingTimeConstant: 0.8 });
+        
         // Animation properties
         this.time = 0;
         this.frameCount = 0;
@@ -32,6 +35,12 @@ class FractalVisualizer extends BaseVisualizer {
         this.colorShift = 0;
         this.fractalMorph = 0;
         this.complexParam = { re: -0.7, im: 0.27015 }; // Julia set parameter
+        this.influence = { level: 0, bass: 0, mid: 0, high: 0 }; // Band levels times sensitivity, see updateInfluence()
+        
+        // Jump the palette on strong beats
+        this.on('beat', (event) => {
+            this.colorShift = (this.colorShift + 40 + event.strength * 80) % 360;
+        });
         
         // Particle system for enhanced visuals
         this.particles = [];
@@ -42,21 +51,24 @@ class FractalVisualizer extends BaseVisualizer {
         this.initParticles();
         
         // Add resize listener
-        window.addEventListener('resize', () => this.resize());
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
         
-        // Mode cycling every 15 seconds
-        this.modeTimer = setInterval(() => {
-            if (this.isActive) {
-                this.cycleModes();
-            }
-        }, 15000);
+        // Mode cycling every 15 seconds of audio, or every modeBars bars when locked to tempo
+        // (off while the auto-director picks modes)
+        this.autoCycle = true;
+        this.modeInterval = 15;
+        this.lastModeTime = null;
+        this.modeBars = 8;
+        this.lastModeBar = null;
     }
 
     /**
      * Resize canvas to fit container
      */
     resize() {
-        const rect = this.container.parentElement.getBoundingClientRect();
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
         this.canvas.width = rect.width;
         this.canvas.height = rect.height;
         this.centerX = this.canvas.width / 2;
@@ -75,13 +87,13 @@ class FractalVisualizer extends BaseVisualizer {
         this.particles = [];
         for (let i = 0; i < this.particleCount; i++) {
             this.particles.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                vx: (Math.random() - 0.5) * 2,
-                vy: (Math.random() - 0.5) * 2,
-                size: Math.random() * 3 + 1,
-                life: Math.random(),
-                speed: Math.random() * 0.5 + 0.1
+                x: this.random() * this.canvas.width,
+                y: this.random() * this.canvas.height,
+                vx: (this.random() - 0.5) * 2,
+                vy: (this.random() - 0.5) * 2,
+                size: this.random() * 3 + 1,
+                life: this.random(),
+                speed: this.random() * 0.5 + 0.1
             });
         }
     }
@@ -90,18 +102,87 @@ class FractalVisualizer extends BaseVisualizer {
      * Cycle through different visualization modes
      */
     cycleModes() {
-        const modes = ['mandelbrot', 'julia', 'fourier', 'hybrid'];
+        const modes = FractalVisualizer.MODES;
         const currentIndex = modes.indexOf(this.mode);
         this.mode = modes[(currentIndex + 1) % modes.length];
         console.log(`Switched to mode: ${this.mode}`);
     }
 
+    /**
+     * Select a mode directly; automatic cycling restarts its interval from now
+     */
+    setMode(mode) {
+        if (!FractalVisualizer.MODES.includes(mode)) return;
+        
+        this.mode = mode;
+        this.lastModeTime = null;
+        this.lastModeBar = null;
+    }
+
+    /**
+     * Turn the built-in mode cycling on or off
+     */
+    setAutoCycle(enabled) {
+        this.autoCycle = Boolean(enabled);
+        this.lastModeTime = null;
+        this.lastModeBar = null;
+    }
+
+    /**
+     * Cycle modes on a fixed interval of audio time, or on bar boundaries when locked to tempo
+     * Uses the audio clock so offline renders cycle exactly like playback
+     */
+    updateModeCycle() {
+        if (!this.autoCycle) return;
+        
+        if (!this.isTempoLocked()) {
+            this.lastModeBar = null;
+            
+            const time = this.frame.time;
+            if (this.lastModeTime === null || time < this.lastModeTime) {
+                this.lastModeTime = time;
+            } else if (time - this.lastModeTime >= this.modeInterval) {
+                this.lastModeTime = time;
+                this.cycleModes();
+            }
+            return;
+        }
+        
+        this.lastModeTime = null;
+        const bar = this.getTempo().bar;
+        if (this.lastModeBar === null) {
+            this.lastModeBar = bar;
+        } else if (bar - this.lastModeBar >= this.modeBars) {
+            this.lastModeBar = bar;
+            this.cycleModes();
+        }
+    }
+
+    /**
+     * Read this frame's band levels once (the fractals sample them per pixel): the mean of
+     * log-spaced bands as overall level, plus bass, mid and high, all scaled by sensitivity
+     */
+    updateInfluence() {
+        const scale = this.sensitivity / 100;
+        const bands = this.getBands();
+        const logBands = this.getLogBands(32);
+        
+        let sum = 0;
+        for (let i = 0; i < logBands.length; i++) {
+            sum += logBands[i];
+        }
+        
+        this.influence.level = sum / logBands.length * scale;
+        this.influence.bass = (bands.sub + bands.bass) / 2 * scale;
+        this.influence.mid = (bands.lowMid + bands.mid) / 2 * scale;
+        this.influence.high = (bands.high + bands.air) / 2 * scale;
+    }
+
     /**
      * Calculate Mandelbrot set value
      */
     mandelbrot(x, y) {
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
-        const zoomFactor = this.zoom * (1 + audioInfluence * 0.5);
+        const zoomFactor = this.zoom * (1 + this.influence.bass * 0.5);
         
         let zx = (x - this.centerX) / (this.canvas.width * zoomFactor) + this.panX;
         let zy = (y - this.centerY) / (this.canvas.height * zoomFactor) + this.panY;
@@ -124,14 +205,13 @@ class FractalVisualizer extends BaseVisualizer {
      * Calculate Julia set value
      */
     julia(x, y) {
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
-        const dominantFreq = this.getDominantFrequency();
+        const influence = this.influence;
         
-        // Audio-reactive Julia parameter
-        const c_re = this.complexParam.re + Math.sin(this.time * 0.01) * 0.1 * audioInfluence;
-        const c_im = this.complexParam.im + Math.cos(this.time * 0.01) * 0.1 * audioInfluence;
+        // Audio-reactive Julia parameter: the mids bend the set, the bass pulses the zoom
+        const c_re = this.complexParam.re + Math.sin(this.time * 0.01) * 0.1 * influence.mid;
+        const c_im = this.complexParam.im + Math.cos(this.time * 0.01) * 0.1 * influence.mid;
         
-        const zoomFactor = this.zoom * (1 + audioInfluence * 0.3);
+        const zoomFactor = this.zoom * (1 + influence.bass * 0.3);
         let zx = (x - this.centerX) / (this.canvas.width * zoomFactor);
         let zy = (y - this.centerY) / (this.canvas.height * zoomFactor);
         
@@ -152,9 +232,10 @@ class FractalVisualizer extends BaseVisualizer {
     fourierPoint(t, harmonics) {
         let x = 0;
         let y = 0;
+        const bands = this.getLogBands(harmonics);
         
         for (let i = 1; i <= harmonics; i++) {
-            const freq = this.frequencyData[Math.floor(i * this.frequencyData.length / harmonics)] / 255;
+            const freq = bands[i - 1];
             const amplitude = this.fourierRadius * freq * (1 / i);
             const angle = i * t + this.time * this.fourierSpeed * i;
             
@@ -171,8 +252,6 @@ class FractalVisualizer extends BaseVisualizer {
     drawFourier() {
         if (!this.frequencyData) return;
         
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
-        
         // Draw multiple overlapping Fourier series
         for (let layer = 0; layer < 3; layer++) {
             this.ctx.strokeStyle = this.getFrequencyColor(0.6 - layer * 0.2);
@@ -184,8 +263,8 @@ class FractalVisualizer extends BaseVisualizer {
                 const harmonics = this.fourierTerms - layer * 5;
                 const point = this.fourierPoint(t, harmonics);
                 
-                // Add audio-reactive distortion
-                const distortion = audioInfluence * 20;
+                // Add audio-reactive distortion from the highs
+                const distortion = this.influence.high * 20;
                 point.x += Math.sin(t * 5 + this.time * 0.01) * distortion;
                 point.y += Math.cos(t * 3 + this.time * 0.01) * distortion;
                 
@@ -212,13 +291,12 @@ class FractalVisualizer extends BaseVisualizer {
         if (!this.frequencyData) return;
         
         const barCount = 64;
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
+        const bands = this.getLogBands(barCount);
         
         for (let i = 0; i < barCount; i++) {
             const angle = (i / barCount) * Math.PI * 2;
-            const freqIndex = Math.floor(i * this.frequencyData.length / barCount);
-            const amplitude = this.frequencyData[freqIndex] / 255;
-            const length = amplitude * this.fourierRadius * 2 * audioInfluence;
+            const amplitude = bands[i];
+            const length = amplitude * this.fourierRadius * 2 * this.influence.level;
             
             const startX = this.centerX + Math.cos(angle) * this.fourierRadius * 0.5;
             const startY = this.centerY + Math.sin(angle) * this.fourierRadius * 0.5;
@@ -241,8 +319,8 @@ class FractalVisualizer extends BaseVisualizer {
         const imageData = this.ctx.createImageData(this.canvas.width, this.canvas.height);
         const data = imageData.data;
         
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
-        const dominantFreq = this.getDominantFrequency();
+        const audioInfluence = this.influence.level;
+        const baseHue = this.getColorHue();
         
         // Sample every nth pixel for performance
         const step = Math.max(1, Math.floor(4 - audioInfluence * 3));
@@ -258,7 +336,7 @@ class FractalVisualizer extends BaseVisualizer {
                 }
                 
                 // Color calculation with audio influence
-                const hue = (iterations / this.maxIterations * 360 + dominantFreq * 360 + this.time * 0.5) % 360;
+                const hue = (iterations / this.maxIterations * 360 + baseHue + this.colorShift + this.time * 0.5) % 360;
                 const saturation = Math.min(100, 70 + audioInfluence * 30);
                 const lightness = iterations < this.maxIterations ? 
                     Math.min(80, 20 + (iterations / this.maxIterations) * 60 + audioInfluence * 20) : 0;
@@ -322,7 +400,8 @@ class FractalVisualizer extends BaseVisualizer {
     updateParticles() {
         if (!this.frequencyData) return;
         
-        const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
+        const audioInfluence = this.influence.high;
+        const bands = this.getLogBands(32);
         
         this.particles.forEach((particle, index) => {
             // Update particle position
@@ -330,10 +409,9 @@ class FractalVisualizer extends BaseVisualizer {
             particle.y += particle.vy * particle.speed * (1 + audioInfluence);
             
             // Audio-reactive velocity changes
-            const freqIndex = Math.floor(index * this.frequencyData.length / this.particles.length);
-            const freq = this.frequencyData[freqIndex] / 255;
-            particle.vx += (Math.random() - 0.5) * freq * 0.1;
-            particle.vy += (Math.random() - 0.5) * freq * 0.1;
+            const freq = bands[Math.floor(index * bands.length / this.particles.length)];
+            particle.vx += (this.random() - 0.5) * freq * 0.1;
+            particle.vy += (this.random() - 0.5) * freq * 0.1;
             
             // Damping
             particle.vx *= 0.99;
@@ -372,12 +450,14 @@ class FractalVisualizer extends BaseVisualizer {
         this.frameCount++;
         
         if (this.frequencyData) {
-            const audioInfluence = this.getAverageFrequency() * this.sensitivity / 100;
+            this.updateInfluence();
+            const audioInfluence = this.influence.level;
             
             // Update fractal parameters based on audio
             this.panX += Math.sin(this.time * 0.001) * audioInfluence * 0.001;
             this.panY += Math.cos(this.time * 0.001) * audioInfluence * 0.001;
             this.maxIterations = Math.floor(50 + audioInfluence * 50);
+            this.updateModeCycle();
             
             // Render based on current mode
             switch (this.mode) {
@@ -407,14 +487,16 @@ class FractalVisualizer extends BaseVisualizer {
             this.ctx.fillText(`MODE: ${this.mode.toUpperCase()}`, 10, 25);
         }
     }
+}
 
-    /**
-     * Cleanup resources
-     */
-    destroy() {
-        super.destroy();
-        if (this.modeTimer) {
-            clearInterval(this.modeTimer);
-        }
-    }
-}
\ No newline at end of file
+FractalVisualizer.MODES = ['mandelbrot', 'julia', 'fourier', 'hybrid'];
+
+VisualizerRegistry.register({
+    id: 'fractal',
+    label: 'Fractal',
+    icon: '🔬',
+    name: 'Fractal Visualizer',
+    shortcut: 'Digit3',
+    container: 'canvas',
+    visualizerClass: FractalVisualizer
+});
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * Layers Visualizer
+ * Layer compositor: runs several visualizers at once and blends their canvases
+ * into one output canvas, bottom layer first, so a stack can be recorded,
+ * exported or projected like any single visualizer. Every layer has its own
+ * visualizer instance, opacity, blend mode and sensitivity.
+ */
+class LayersVisualizer extends BaseVisualizer {
+    constructor(options = {}) {
+        super('layersCanvas', options);
+        
+        this.canvas = this.container;
+        this.ctx = this.canvas.getContext('2d');
+        this.seed = options.seed;
+        
+        this.layers = []; // Bottom to top: { id, key, name, visualizer, opacity, blend, sensitivity, visible }
+        this.nextLayerId = 1;
+        
+        // Initialize canvas size
+        this.resize();
+        
+        // Add resize listener
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
+        
+        this.setLayers(LayersVisualizer.DEFAULT_LAYERS);
+    }
+
+    /**
+     * Resize the output canvas and every layer with it
+     */
+    resize() {
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+        
+        this.layers.forEach(layer => this.resizeLayer(layer));
+    }
+
+    /**
+     * Layers render off-screen at the output size
+     */
+    resizeLayer(layer) {
+        layer.visualizer.fixedSize = { width: this.canvas.width, height: this.canvas.height };
+        layer.visualizer.resize();
+    }
+
+    /**
+     * Add a layer on top from { key, opacity, blend, sensitivity, visible }
+     * key is a registered visualizer id; an existing instance can be passed instead of creating one
+     */
+    addLayer(spec, visualizer = null) {
+        const definition = VisualizerRegistry.get(spec.key);
+        if (!definition || definition.visualizerClass === LayersVisualizer) {
+            throw new Error(`Cannot add a ${spec.key} layer`);
+        }
+        
+        if (!visualizer) {
+            visualizer = new definition.visualizerClass({
+                container: document.createElement(definition.container),
+                width: this.canvas.width,
+                height: this.canvas.height,
+                seed: this.seed !== undefined ? this.seed + this.nextLayerId : undefined
+            });
+        }
+        
+        visualizer.setAudioEngine(this.audioEngine);
+        visualizer.setColorMode(this.colorMode);
+        visualizer.setTempoSync(this.tempoSync);
+        visualizer.setStereoMode(this.stereoMode);
+        visualizer.setHueShift(this.hueShift);
+        
+        const layer = {
+            id: this.nextLayerId++,
+            key: spec.key,
+            name: definition.name,
+            visualizer,
+            opacity: 1,
+            blend: 'normal',
+            sensitivity: 50,
+            visible: true
+        };
+        this.layers.push(layer);
+        this.resizeLayer(layer);
+        this.updateLayer(layer.id, spec);
+        
+        return layer;
+    }
+
+    /**
+     * Change a layer's opacity (0-1), blend mode, sensitivity (10-200) or visibility
+     */
+    updateLayer(id, changes) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        
+        if (changes.opacity !== undefined) {
+            layer.opacity = Math.max(0, Math.min(1, changes.opacity));
+        }
+        if (changes.blend !== undefined && LayersVisualizer.BLEND_MODES[changes.blend]) {
+            layer.blend = changes.blend;
+        }
+        if (changes.sensitivity !== undefined) {
+            layer.sensitivity = Math.max(10, Math.min(200, changes.sensitivity));
+        }
+        if (changes.visible !== undefined) {
+            layer.visible = Boolean(changes.visible);
+        }
+    }
+
+    /**
+     * Remove a layer and free its visualizer
+     */
+    removeLayer(id) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        if (index === -1) return;
+        
+        this.layers[index].visualizer.destroy();
+        this.layers.splice(index, 1);
+    }
+
+    /**
+     * Move a layer up (offset 1) or down (offset -1) the stack
+     */
+    moveLayer(id, offset) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+        
+        [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+    }
+
+    /**
+     * Replace the whole stack (bottom to top)
+     */
+    setLayers(specs) {
+        this.layers.forEach(layer => layer.visualizer.destroy());
+        this.layers = [];
+        specs.forEach(spec => this.addLayer(spec));
+    }
+
+    /**
+     * Layer by id
+     */
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    /**
+     * Rebuild the template's stack with fresh copies of its layer visualizers
+     */
+    copySettingsFrom(template, createVisualizer) {
+        this.setLayers([]);
+        template.layers.forEach(layer => this.addLayer(layer, createVisualizer(layer.visualizer)));
+    }
+
+    /**
+     * Layers share the compositor's audio engine
+     */
+    setAudioEngine(audioEngine) {
+        super.setAudioEngine(audioEngine);
+        this.layers.forEach(layer => layer.visualizer.setAudioEngine(audioEngine));
+    }
+
+    /**
+     * Pull the compositor's frame, then each layer's frame for the same timestamp
+     */
+    updateAudioData(timestamp) {
+        super.updateAudioData(timestamp);
+        this.updateLayerFrames();
+    }
+
+    /**
+     * Render a single frame outside the animation loop (offline export)
+     */
+    renderFrame(frame) {
+        this.setFrame(frame);
+        this.updateLayerFrames();
+        this.render();
+    }
+
+    /**
+     * Give every layer its frame (with its own analyser settings) for the engine's current timestamp
+     */
+    updateLayerFrames() {
+        if (!this.audioEngine || !this.frame) return;
+        
+        const timestamp = this.audioEngine.frameTimestamp;
+        this.layers.forEach(layer => layer.visualizer.updateAudioData(timestamp));
+    }
+
+    /**
+     * Render the visible layers and blend them bottom to top
+     * The compositor's own sensitivity scales every layer's (50 = as set on the layer)
+     */
+    render() {
+        this.ctx.globalAlpha = 1;
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        if (!this.frame) return;
+        
+        this.layers.forEach(layer => {
+            if (!layer.visible || layer.opacity === 0) return;
+            
+            const visualizer = layer.visualizer;
+            visualizer.setSensitivity(layer.sensitivity * this.sensitivity / 50);
+            visualizer.render();
+            
+            const source = visualizer.getCanvas();
+            if (!source || !source.width || !source.height) return;
+            
+            this.ctx.globalAlpha = layer.opacity;
+            this.ctx.globalCompositeOperation = LayersVisualizer.BLEND_MODES[layer.blend].operation;
+            this.ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        });
+        
+        this.ctx.globalAlpha = 1;
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+
+    /**
+     * Color mode applies to every layer
+     */
+    setColorMode(mode) {
+        super.setColorMode(mode);
+        this.layers.forEach(layer => layer.visualizer.setColorMode(mode));
+    }
+
+    /**
+     * Beat sync applies to every layer
+     */
+    setTempoSync(enabled) {
+        super.setTempoSync(enabled);
+        this.layers.forEach(layer => layer.visualizer.setTempoSync(enabled));
+    }
+
+    /**
+     * Stereo mode applies to every layer
+     */
+    setStereoMode(enabled) {
+        super.setStereoMode(enabled);
+        this.layers.forEach(layer => layer.visualizer.setStereoMode(enabled));
+    }
+
+    /**
+     * Hue shift applies to every layer
+     */
+    setHueShift(degrees) {
+        super.setHueShift(degrees);
+        this.layers.forEach(layer => layer.visualizer.setHueShift(degrees));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        super.destroy();
+        this.layers.forEach(layer => layer.visualizer.destroy());
+        this.layers = [];
+    }
+}
+
+/**
+ * Blend modes and their canvas composite operations
+ */
+LayersVisualizer.BLEND_MODES = {
+    normal: { label: 'Normal', operation: 'source-over' },
+    add: { label: 'Add', operation: 'lighter' },
+    screen: { label: 'Screen', operation: 'screen' },
+    multiply: { label: 'Multiply', operation: 'multiply' }
+};
+
+/**
+ * Starting stack (bottom to top): fractal background, rose overlay, spectrum bars
+ */
+LayersVisualizer.DEFAULT_LAYERS = [
+    { key: 'fractal', blend: 'normal', opacity: 1 },
+    { key: 'rose', blend: 'screen', opacity: 0.9 },
+    { key: 'bars', blend: 'add', opacity: 0.5 }
+];
+
+VisualizerRegistry.register({
+    id: 'layers',
+    label: 'Layers',
+    icon: '🧱',
+    name: 'Layer Compositor',
+    shortcut: 'Digit7',
+    container: 'canvas',
+    visualizerClass: LayersVisualizer,
+    createControls: (visualizer) => new LayerPanel(visualizer)
+});
\ No newline at end of file
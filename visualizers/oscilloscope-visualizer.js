@@ -0,0 +1,265 @@
+/**
+ * Oscilloscope Visualizer
+ * Draws the waveform like an analog scope: a triggered trace synced to rising
+ * zero crossings, or an XY (Lissajous) plot of left against right, both with
+ * phosphor-style persistence
+ */
+class OscilloscopeVisualizer extends BaseVisualizer {
+    constructor(options = {}) {
+        super('oscilloscopeCanvas', options);
+        
+        this.canvas = this.container;
+        this.ctx = this.canvas.getContext('2d');
+        this.centerX = 0;
+        this.centerY = 0;
+        
+        this.mode = 'triggered'; // 'triggered' or 'xy'
+        this.persistence = 0.8; // Share of the previous image kept each frame (0 = none)
+        this.divisions = { x: 10, y: 8 }; // Graticule
+        
+        // Trigger: rising edge through the center line, with hysteresis against noise
+        this.triggerHysteresis = 0.02;
+        this.timebase = 0.5; // Share of the analyser window shown in triggered mode
+        
+        // Beat-driven trace brightening (decays every frame)
+        this.beatFlash = 0;
+        this.on('beat', (event) => {
+            this.beatFlash = Math.max(this.beatFlash, 0.5 + event.strength * 0.5);
+        });
+        
+        // Long window so a few cycles of bass still fit after the trigger
+        this.setDefaultAnalysisSettings({ fftSize: 4096 });
+        
+        // Click toggles triggered / XY
+        this.canvas.addEventListener('click', () => {
+            this.setMode(this.mode === 'xy' ? 'triggered' : 'xy');
+        });
+        
+        // Initialize canvas size
+        this.resize();
+        
+        // Add resize listener
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
+    }
+
+    /**
+     * Resize canvas to fit container
+     */
+    resize() {
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+    }
+
+    /**
+     * Switch between the triggered waveform and the XY plot
+     */
+    setMode(mode) {
+        if (!OscilloscopeVisualizer.MODES.includes(mode)) return;
+        this.mode = mode;
+    }
+
+    /**
+     * Set phosphor persistence (0-0.95)
+     */
+    setPersistence(persistence) {
+        this.persistence = Math.max(0, Math.min(0.95, persistence));
+    }
+
+    /**
+     * Copy mode and persistence
+     */
+    copySettingsFrom(template) {
+        this.setMode(template.mode);
+        this.setPersistence(template.persistence);
+    }
+
+    /**
+     * Main render function
+     */
+    render() {
+        // Fade the previous image instead of clearing it (phosphor afterglow)
+        this.ctx.fillStyle = `rgba(0, 0, 0, ${1 - this.persistence})`;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawGraticule();
+        
+        if (!this.frame) return;
+        
+        this.beatFlash *= 0.85;
+        
+        if (this.mode === 'xy') {
+            this.drawXY();
+        } else {
+            this.drawTriggered();
+        }
+        
+        this.drawLabel();
+    }
+
+    /**
+     * Draw the scope grid with a brighter center cross
+     */
+    drawGraticule() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.08)';
+        this.ctx.beginPath();
+        for (let i = 1; i < this.divisions.x; i++) {
+            const x = Math.round(width * i / this.divisions.x) + 0.5;
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+        }
+        for (let i = 1; i < this.divisions.y; i++) {
+            const y = Math.round(height * i / this.divisions.y) + 0.5;
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(width, y);
+        }
+        this.ctx.stroke();
+        
+        this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.18)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(Math.round(this.centerX) + 0.5, 0);
+        this.ctx.lineTo(Math.round(this.centerX) + 0.5, height);
+        this.ctx.moveTo(0, Math.round(this.centerY) + 0.5);
+        this.ctx.lineTo(width, Math.round(this.centerY) + 0.5);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Triggered waveform; stereo mode draws left on top and right below
+     */
+    drawTriggered() {
+        const stereo = this.stereoMode ? this.getStereo() : null;
+        const color = this.getFrequencyColor(0.9);
+        
+        if (stereo) {
+            const quarter = this.canvas.height / 4;
+            this.drawTrace(stereo.left.timeDomainData, 0, 1, this.centerY - quarter, quarter, color);
+            this.drawTrace(stereo.right.timeDomainData, 0, 1, this.centerY + quarter, quarter, color);
+            return;
+        }
+        
+        // Byte samples from this visualizer's analyser (already normalized in auto level mode)
+        if (!this.dataArray) return;
+        this.drawTrace(this.dataArray, 128, 1 / 128, this.centerY, this.canvas.height * 0.4, color);
+    }
+
+    /**
+     * Draw one trace starting at its trigger point
+     * samples are bytes around 128 or floats around 0; scale converts them to -1..1
+     */
+    drawTrace(samples, center, scale, y, amplitude, color) {
+        const span = Math.floor(samples.length * this.timebase);
+        const start = OscilloscopeVisualizer.findTrigger(samples, center, this.triggerHysteresis / scale, samples.length - span);
+        const gain = amplitude * scale * (this.sensitivity / 50);
+        const step = this.canvas.width / (span - 1);
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'lighter';
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5 + this.beatFlash * 1.5;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 6 + this.beatFlash * 10;
+        
+        this.ctx.beginPath();
+        for (let i = 0; i < span; i++) {
+            const value = (samples[start + i] - center) * gain;
+            const x = i * step;
+            const py = y - Math.max(-amplitude, Math.min(amplitude, value));
+            if (i === 0) {
+                this.ctx.moveTo(x, py);
+            } else {
+                this.ctx.lineTo(x, py);
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Lissajous plot: left channel on X, right channel on Y
+     * Mono sources collapse to the rising diagonal, out-of-phase material to the falling one
+     */
+    drawXY() {
+        const stereo = this.getStereo();
+        if (!stereo) return;
+        
+        const left = stereo.left.timeDomainData;
+        const right = stereo.right.timeDomainData;
+        const radius = Math.min(this.canvas.width, this.canvas.height) * 0.45;
+        const gain = radius * (this.sensitivity / 50);
+        const color = this.getFrequencyColor(0.35 + this.beatFlash * 0.3);
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'lighter';
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.2;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 8;
+        
+        this.ctx.beginPath();
+        for (let i = 0; i < left.length; i++) {
+            const x = this.centerX + Math.max(-radius, Math.min(radius, left[i] * gain));
+            const y = this.centerY - Math.max(-radius, Math.min(radius, right[i] * gain));
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Mode readout in the corner
+     */
+    drawLabel() {
+        const label = this.mode === 'xy' ? 'XY · L/R' : `TRIG ↑ · ${this.stereoMode ? 'L/R' : 'MONO'}`;
+        
+        this.ctx.font = '12px "Source Code Pro", monospace';
+        this.ctx.fillStyle = 'rgba(0, 255, 65, 0.6)';
+        this.ctx.fillText(label, 12, this.canvas.height - 12);
+    }
+
+    /**
+     * Index of the first rising crossing of center within the first searchLength samples
+     * The signal must first drop below center - hysteresis so noise cannot retrigger;
+     * without a crossing the trace free-runs from the start of the window
+     */
+    static findTrigger(samples, center, hysteresis, searchLength) {
+        let armed = false;
+        
+        for (let i = 0; i < searchLength; i++) {
+            if (samples[i] < center - hysteresis) {
+                armed = true;
+            } else if (armed && samples[i] >= center) {
+                return i;
+            }
+        }
+        
+        return 0;
+    }
+}
+
+/**
+ * Display modes
+ */
+OscilloscopeVisualizer.MODES = ['triggered', 'xy'];
+
+VisualizerRegistry.register({
+    id: 'oscilloscope',
+    label: 'Scope',
+    icon: '📈',
+    name: 'Oscilloscope',
+    shortcut: 'Digit4',
+    container: 'canvas',
+    title: 'Click to switch between triggered and XY',
+    visualizerClass: OscilloscopeVisualizer
+});
\ No newline at end of file
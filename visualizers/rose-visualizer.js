@@ -1,16 +1,18 @@
 /**
  * Rose Visualizer
- * Creates an animated rose pattern that responds to audio input
+ * Creates an animated rose pattern that responds to audio input: rings of
+ * gradient petals, one per frequency band, or the mathematical rose curve
+ * r = cos(kθ) (rhodonea) with k = n/d taken from the music, over a Maurer rose web
  */
 class RoseVisualizer extends BaseVisualizer {
-    constructor() {
-        super('roseCanvas');
+    constructor(options = {}) {
+        super('roseCanvas', options);
         
         this.canvas = this.container;
         this.ctx = this.canvas.getContext('2d');
         this.centerX = 0;
         this.centerY = 0;
-        this.numPetals = 12;
+        this.petalBase = 8; // Petal density: 8 = each ring's own petal count
         this.baseRadius = 100;
         this.maxRadius = 300;
         
@@ -18,19 +20,52 @@ class RoseVisualizer extends BaseVisualizer {
         this.time = 0;
         this.rotationSpeed = 0.01;
         this.pulseSpeed = 0.05;
+        this.rotationPerBeat = Math.PI / 12; // Rotation when locked to tempo
+        
+        // Petals follow the music closely: short window, little smoothing
+        this.setDefaultAnalysisSettings({ fftSize: 1024, smoothingTimeConstant: 0.5 });
+        
+        // Beat-driven petal burst (decays every frame)
+        this.beatBurst = 0;
+        this.on('beat', (event) => {
+            this.beatBurst = Math.max(this.beatBurst, 0.5 + event.strength * 0.5);
+            this.maurerTarget = (this.maurerTarget + 7 + Math.round(event.strength * 12)) % 360;
+        });
+        
+        // Petal rings, inner to outer, each driven by its own frequency band
+        this.rings = RoseVisualizer.DEFAULT_RINGS.map(ring => ({ ...ring }));
+        this.petalLevels = {}; // Smoothed per-petal levels by "ring:half"
+        this.petalSlices = null; // Scratch slice levels, grown to the largest ring
+        
+        // Curve mode: k = n/d from the detected pitch's interval or the low/high band balance
+        this.mode = 'petals'; // See RoseVisualizer.MODES
+        this.kSource = 'pitch'; // 'pitch' or 'bands'
+        this.referenceFrequency = 261.63; // C4: pitches are taken as intervals above C
+        this.curveLayers = 3; // Stroked copies of the curve (1-4)
+        this.maurer = true; // Maurer rose web behind the curve
+        this.ratio = { n: 2, d: 1 }; // Target k
+        this.previousRatio = { n: 2, d: 1 };
+        this.curveK = 2; // Drawn k, morphs towards the target
+        this.morphRate = 0.04;
+        this.ratioHold = 0.5; // Seconds of audio a new k is kept at least
+        this.lastRatioTime = -Infinity;
+        this.maurerDelta = 71; // Degrees between Maurer rose points
+        this.maurerTarget = 71;
         
         // Initialize canvas size
         this.resize();
         
         // Add resize listener
-        window.addEventListener('resize', () => this.resize());
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
     }
 
     /**
      * Resize canvas to fit container
      */
     resize() {
-        const rect = this.container.parentElement.getBoundingClientRect();
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
         this.canvas.width = rect.width;
         this.canvas.height = rect.height;
         this.centerX = this.canvas.width / 2;
@@ -113,36 +148,332 @@ class RoseVisualizer extends BaseVisualizer {
     }
 
     /**
-     * Draw the complete rose
+     * Draw the complete rose: one ring of petals per frequency band, bass inside and treble outside
      */
-    drawRose(color, volume) {
-        const adjustedVolume = volume * (this.sensitivity / 100);
+    drawRose() {
+        const burst = 1 + this.beatBurst * 0.4;
         
-        // Create multiple layers for depth
-        for (let layer = 0; layer < 3; layer++) {
-            const layerOpacity = 1 - (layer * 0.3);
-            const layerScale = 1 + (layer * 0.2);
+        // Rotate and pulse with the beat clock when tempo sync is locked
+        const tempoLocked = this.isTempoLocked();
+        const beatPosition = this.getTempo().beatPosition;
+        const rotation = tempoLocked ? beatPosition * this.rotationPerBeat : this.time * this.rotationSpeed;
+        const pulsePhase = tempoLocked ? beatPosition * 2 * Math.PI : this.time * this.pulseSpeed;
+        
+        // Stereo mode mirrors the rose: the right half follows the right channel, the left half the left channel
+        const stereo = this.stereoMode ? this.getStereo() : null;
+        const halves = stereo ? [
+            { frequencyData: stereo.right.frequencyData, mirrored: false },
+            { frequencyData: stereo.left.frequencyData, mirrored: true }
+        ] : [{ frequencyData: this.frequencyData, mirrored: false }];
+        
+        const gain = this.sensitivity / 50;
+        const baseHue = this.getColorHue();
+        
+        // Outer rings first so the bass ring sits on top
+        for (let ringIndex = this.rings.length - 1; ringIndex >= 0; ringIndex--) {
+            const ring = this.rings[ringIndex];
+            const count = this.getRingPetalCount(ring);
+            const petalCount = stereo ? Math.ceil(count / 2) : count;
+            const ringRadius = this.baseRadius * (1 + ringIndex * 0.75);
+            const ringRotation = ringIndex % 2 === 0 ? rotation : -rotation; // Neighbouring rings turn against each other
+            const hue = (baseHue + ring.hue) % 360;
             
-            for (let i = 0; i < this.numPetals; i++) {
-                // Calculate petal properties
-                const angle = (i / this.numPetals) * 2 * Math.PI + this.time * this.rotationSpeed;
-                const radiusVariation = Math.sin(this.time * this.pulseSpeed + i) * 0.3 + 1;
-                const radius = (this.baseRadius + adjustedVolume * this.maxRadius) * radiusVariation * layerScale;
-                
-                const petalLength = (30 + adjustedVolume * 150) * layerScale;
-                const petalWidth = (15 + adjustedVolume * 75) * layerScale;
+            halves.forEach((half, halfIndex) => {
+                const levels = this.getPetalLevels(ringIndex, halfIndex, half.frequencyData, petalCount);
                 
-                // Add some randomness for organic feel
-                const randomOffset = Math.sin(this.time * 0.03 + i * 0.5) * 20 * adjustedVolume;
-                const x = this.centerX + Math.cos(angle) * (radius + randomOffset);
-                const y = this.centerY + Math.sin(angle) * (radius + randomOffset);
-                
-                // Calculate petal angle with slight randomness
-                const petalAngle = angle + Math.sin(this.time * 0.02 + i) * 0.3;
+                for (let i = 0; i < petalCount; i++) {
+                    const level = Math.min(1, levels[i] * gain);
+                    
+                    // Calculate petal properties
+                    const angle = stereo ? this.getHalfAngle(i, petalCount, ringRotation) : (i / petalCount) * 2 * Math.PI + ringRotation;
+                    const radiusVariation = Math.sin(pulsePhase + i) * 0.1 + 1;
+                    const radius = (ringRadius + level * this.baseRadius * 0.5) * radiusVariation * burst;
+                    
+                    const petalLength = this.baseRadius * (0.3 + level * 1.5) * ring.length * burst;
+                    const petalWidth = petalLength * 0.45;
+                    
+                    // Add some randomness for organic feel
+                    const randomOffset = Math.sin(this.time * 0.03 + i * 0.5) * 10 * level;
+                    const x = this.centerX + Math.cos(angle) * (radius + randomOffset);
+                    const y = this.centerY + Math.sin(angle) * (radius + randomOffset);
+                    
+                    // Calculate petal angle with slight randomness
+                    const petalAngle = angle + Math.sin(this.time * 0.02 + i) * 0.3;
+                    
+                    const saturation = Math.min(100, 70 + level * 30);
+                    const lightness = Math.min(80, 40 + level * 40);
+                    const color = `hsla(${hue}, ${saturation}%, ${lightness}%, 0.9)`;
+                    const opacity = 0.4 + level * 0.6;
+                    
+                    if (half.mirrored) {
+                        this.drawPetal(2 * this.centerX - x, y, -petalAngle, petalLength, petalWidth, color, opacity);
+                    } else {
+                        this.drawPetal(x, y, petalAngle, petalLength, petalWidth, color, opacity);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Petal count of a ring, scaled by the petal density (petalBase 8 = the ring's own count)
+     */
+    getRingPetalCount(ring) {
+        return Math.max(3, Math.round(ring.petals * this.petalBase / 8));
+    }
+
+    /**
+     * Smoothed level (0-1) of every petal in a ring
+     * The ring's frequency range is split into count log-spaced slices, one per petal, and each
+     * petal also hears its neighbours' slices (the ring's ends meet, so it wraps around)
+     */
+    getPetalLevels(ringIndex, halfIndex, frequencyData, count) {
+        const key = `${ringIndex}:${halfIndex}`;
+        let levels = this.petalLevels[key];
+        if (!levels || levels.length !== count) {
+            levels = this.petalLevels[key] = new Float32Array(count);
+        }
+        if (!frequencyData) return levels;
+        
+        const ring = this.rings[ringIndex];
+        const binHz = this.frame.sampleRate / 2 / frequencyData.length;
+        const span = ring.maxHz / ring.minHz;
+        if (!this.petalSlices || this.petalSlices.length < count) {
+            this.petalSlices = new Float32Array(count);
+        }
+        const slices = this.petalSlices;
+        
+        for (let i = 0; i < count; i++) {
+            const lowHz = ring.minHz * Math.pow(span, i / count);
+            const highHz = ring.minHz * Math.pow(span, (i + 1) / count);
+            const start = Math.max(1, Math.floor(lowHz / binHz));
+            const end = Math.min(frequencyData.length, Math.ceil(highHz / binHz));
+            
+            if (end - start > 1) {
+                let sum = 0;
+                for (let bin = start; bin < end; bin++) {
+                    sum += frequencyData[bin];
+                }
+                slices[i] = sum / (end - start) / 255;
+            } else {
+                // Slice narrower than a bin: interpolate the spectrum at its center
+                const position = Math.min(frequencyData.length - 1.001, Math.sqrt(lowHz * highHz) / binHz);
+                const bin = Math.floor(position);
+                const fraction = position - bin;
+                slices[i] = (frequencyData[bin] * (1 - fraction) + frequencyData[bin + 1] * fraction) / 255;
+            }
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const target = slices[i] * 0.5 + (slices[(i + count - 1) % count] + slices[(i + 1) % count]) * 0.25;
+            
+            // Fast attack, slower release
+            levels[i] += (target - levels[i]) * (target > levels[i] ? 0.6 : 0.15);
+        }
+        
+        return levels;
+    }
+
+    /**
+     * Change a ring's petal count (3-24), petal length (0.25-2) or hue offset (0-359°)
+     */
+    setRing(index, changes) {
+        const ring = this.rings[index];
+        if (!ring) return;
+        
+        if (changes.petals !== undefined) {
+            ring.petals = Math.max(3, Math.min(24, Math.round(changes.petals)));
+        }
+        if (changes.length !== undefined) {
+            ring.length = Math.max(0.25, Math.min(2, changes.length));
+        }
+        if (changes.hue !== undefined) {
+            ring.hue = ((Math.round(changes.hue) % 360) + 360) % 360;
+        }
+    }
+
+    /**
+     * Select 'petals' or 'curve'
+     */
+    setMode(mode) {
+        if (!RoseVisualizer.MODES.includes(mode)) return;
+        this.mode = mode;
+    }
+
+    /**
+     * Take k from the detected pitch ('pitch') or the low/high band balance ('bands')
+     */
+    setKSource(source) {
+        if (!RoseVisualizer.K_SOURCES.includes(source)) return;
+        this.kSource = source;
+        this.lastRatioTime = -Infinity;
+    }
+
+    /**
+     * Number of stroked curve layers (1-4)
+     */
+    setCurveLayers(count) {
+        this.curveLayers = Math.max(1, Math.min(4, Math.round(count)));
+    }
+
+    /**
+     * Show or hide the Maurer rose web
+     */
+    setMaurer(enabled) {
+        this.maurer = Boolean(enabled);
+    }
+
+    /**
+     * Pick the target k = n/d from the audio and morph the drawn k towards it
+     * Pitch: the interval above the reference as a just ratio, doubled (unison 2, fifth 3, major third 5/2)
+     * Bands: n from the lows, d from the highs (1-7 each)
+     */
+    updateCurveRatio() {
+        let ratio = null;
+        
+        if (this.kSource === 'pitch') {
+            const pitch = this.getPitch();
+            if (pitch) {
+                const semitones = Math.round(12 * Math.log2(pitch.frequency / this.referenceFrequency));
+                const [n, d] = RoseVisualizer.JUST_RATIOS[((semitones % 12) + 12) % 12];
+                ratio = RoseVisualizer.reduceRatio(2 * n, d);
+            }
+        } else {
+            const bands = this.getBands();
+            const gain = this.sensitivity / 50;
+            const low = Math.min(1, (bands.sub + bands.bass + bands.lowMid) / 3 * gain);
+            const high = Math.min(1, (bands.mid + bands.high + bands.air) / 3 * gain);
+            ratio = RoseVisualizer.reduceRatio(1 + Math.round(low * 6), 1 + Math.round(high * 6));
+        }
+        
+        // Keep each k for a moment so the figure does not flicker between neighbours
+        const time = this.frame.time;
+        const held = time >= this.lastRatioTime && time - this.lastRatioTime < this.ratioHold;
+        if (ratio && !held && (ratio.n !== this.ratio.n || ratio.d !== this.ratio.d)) {
+            this.previousRatio = this.ratio;
+            this.ratio = ratio;
+            this.lastRatioTime = time;
+        }
+        
+        this.curveK += (this.ratio.n / this.ratio.d - this.curveK) * this.morphRate;
+        if (Math.abs(this.ratio.n / this.ratio.d - this.curveK) < 0.001) {
+            this.previousRatio = this.ratio; // Morph finished
+        }
+        
+        // Ease the Maurer step the short way round, both angles stay in 0-360°
+        const maurerOffset = ((this.maurerTarget - this.maurerDelta) % 360 + 540) % 360 - 180;
+        this.maurerDelta = (this.maurerDelta + maurerOffset * this.morphRate + 360) % 360;
+    }
+
+    /**
+     * Draw the rose curve mode: Maurer web, stroked rhodonea layers and the k readout
+     */
+    drawCurveMode(volume) {
+        const burst = 1 + this.beatBurst * 0.3;
+        const tempoLocked = this.isTempoLocked();
+        const beatPosition = this.getTempo().beatPosition;
+        const rotation = tempoLocked ? beatPosition * this.rotationPerBeat : this.time * this.rotationSpeed;
+        const pulsePhase = tempoLocked ? beatPosition * 2 * Math.PI : this.time * this.pulseSpeed;
+        const limit = Math.min(this.centerX, this.centerY) * 0.95;
+        
+        // Draw until both the previous and the target curve have closed, so morphing never cuts a curve short
+        const thetaMax = Math.max(RoseVisualizer.getCurvePeriod(this.previousRatio), RoseVisualizer.getCurvePeriod(this.ratio));
+        
+        // Stereo mode draws the right half from the right channel and the left half from the left
+        const stereo = this.stereoMode ? this.getStereo() : null;
+        const halves = stereo ? [
+            { volume: stereo.right.volume, clipX: this.centerX },
+            { volume: stereo.left.volume, clipX: 0 }
+        ] : [{ volume, clipX: null }];
+        
+        halves.forEach(half => {
+            const adjustedVolume = half.volume * (this.sensitivity / 100);
+            const radius = Math.min(limit, (this.baseRadius + adjustedVolume * this.maxRadius) * burst);
+            
+            this.ctx.save();
+            if (half.clipX !== null) {
+                this.ctx.beginPath();
+                this.ctx.rect(half.clipX, 0, this.centerX, this.canvas.height);
+                this.ctx.clip();
+            }
+            
+            if (this.maurer) {
+                this.drawMaurer(radius, rotation);
+            }
+            
+            for (let layer = 0; layer < this.curveLayers; layer++) {
+                const scale = (1 - layer * 0.18) * (1 + Math.sin(pulsePhase + layer) * 0.05);
+                const layerRotation = rotation + layer * Math.PI / (this.curveLayers * Math.max(1, this.ratio.n));
+                const hue = (this.getColorHue() + layer * 25) % 360;
+                const lightness = Math.min(80, 50 + adjustedVolume * 30);
                 
-                this.drawPetal(x, y, petalAngle, petalLength, petalWidth, color, layerOpacity);
+                this.ctx.strokeStyle = `hsla(${hue}, 90%, ${lightness}%, ${0.9 - layer * 0.2})`;
+                this.ctx.lineWidth = Math.max(0.5, (2.5 - layer * 0.5) * burst);
+                this.drawRhodonea(radius * scale, layerRotation, thetaMax);
+            }
+            
+            this.ctx.restore();
+        });
+        
+        this.ctx.fillStyle = '#00ff41';
+        this.ctx.font = '12px Source Code Pro, monospace';
+        this.ctx.fillText(`k = ${this.ratio.n}/${this.ratio.d}`, 10, 25);
+    }
+
+    /**
+     * Stroke r = cos(kθ) for θ from 0 to thetaMax with the current (morphing) k
+     */
+    drawRhodonea(radius, rotation, thetaMax) {
+        const k = this.curveK;
+        const steps = Math.min(6000, Math.ceil(thetaMax * Math.max(1, k) * 24));
+        
+        this.ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const theta = (i / steps) * thetaMax;
+            const r = radius * Math.cos(k * theta);
+            const x = this.centerX + r * Math.cos(theta + rotation);
+            const y = this.centerY + r * Math.sin(theta + rotation);
+            
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.stroke();
+    }
+
+    /**
+     * Maurer rose: 361 points of the same curve, maurerDelta degrees apart, joined by straight lines
+     */
+    drawMaurer(radius, rotation) {
+        const k = this.curveK;
+        const delta = this.maurerDelta * Math.PI / 180;
+        
+        this.ctx.beginPath();
+        for (let i = 0; i <= 360; i++) {
+            const theta = i * delta;
+            const r = radius * Math.cos(k * theta);
+            const x = this.centerX + r * Math.cos(theta + rotation);
+            const y = this.centerY + r * Math.sin(theta + rotation);
+            
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
             }
         }
+        this.ctx.strokeStyle = `hsla(${(this.getColorHue() + 180) % 360}, 70%, 55%, 0.25)`;
+        this.ctx.lineWidth = 0.75;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Angle of a petal in the right half (-90° to 90°), wrapping around as the rose rotates
+     */
+    getHalfAngle(index, count, rotation) {
+        const position = ((index + 0.5) / count) * Math.PI + rotation;
+        return ((position % Math.PI) + Math.PI) % Math.PI - Math.PI / 2;
     }
 
     /**
@@ -153,19 +484,24 @@ class RoseVisualizer extends BaseVisualizer {
         this.ctx.fillStyle = 'rgba(1, 4, 0, 0.05)';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        if (!this.analyser) return;
+        if (!this.frame) return;
         
         // Get audio data
         const volume = this.getAverageFrequency();
         const color = this.getFrequencyColor(0.9);
         
-        // Update time and adaptive parameters
+        // Update time and the beat burst
         this.time += 1;
-        this.updatePetalCount();
+        this.beatBurst *= 0.9;
         
         // Draw components
         this.drawFrequencySpectrum();
-        this.drawRose(color, volume);
+        if (this.mode === 'curve') {
+            this.updateCurveRatio();
+            this.drawCurveMode(volume);
+        } else {
+            this.drawRose();
+        }
         this.drawCenterObject(color, volume);
     }
 
@@ -175,12 +511,13 @@ class RoseVisualizer extends BaseVisualizer {
     drawFrequencySpectrum() {
         if (!this.frequencyData) return;
         
-        const barCount = Math.min(64, this.frequencyData.length);
+        const barCount = 64;
+        const bands = this.getLogBands(barCount);
         const angleStep = (2 * Math.PI) / barCount;
         const spectrumRadius = this.baseRadius * 2;
         
         for (let i = 0; i < barCount; i++) {
-            const value = this.frequencyData[i] / 255;
+            const value = bands[i];
             if (value < 0.1) continue;
             
             const angle = i * angleStep + this.time * 0.005;
@@ -192,7 +529,7 @@ class RoseVisualizer extends BaseVisualizer {
             const endX = startX + Math.cos(angle) * barLength;
             const endY = startY + Math.sin(angle) * barLength;
             
-            const hue = (i / barCount) * 360;
+            const hue = ((i / barCount) * 360 + this.hueShift) % 360;
             const color = `hsla(${hue}, 70%, 60%, ${value * 0.6})`;
             
             this.ctx.strokeStyle = color;
@@ -205,10 +542,78 @@ class RoseVisualizer extends BaseVisualizer {
     }
 
     /**
-     * Update number of petals based on audio intensity
+     * Set the petal density (3-24, 8 = each ring's own petal count)
      */
-    updatePetalCount() {
-        const volume = this.getAverageFrequency();
-        this.numPetals = Math.floor(8 + volume * 12); // 8-20 petals based on volume
+    setPetalBase(count) {
+        this.petalBase = Math.max(3, Math.min(24, Math.round(count)));
     }
-}
\ No newline at end of file
+
+    /**
+     * Copy petal density, rings and curve settings
+     */
+    copySettingsFrom(template) {
+        this.setPetalBase(template.petalBase);
+        template.rings.forEach((ring, index) => this.setRing(index, ring));
+        this.setMode(template.mode);
+        this.setKSource(template.kSource);
+        this.setCurveLayers(template.curveLayers);
+        this.setMaurer(template.maurer);
+    }
+
+    /**
+     * n/d in lowest terms
+     */
+    static reduceRatio(n, d) {
+        let a = n;
+        let b = d;
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return { n: n / a, d: d / a };
+    }
+
+    /**
+     * Angle after which r = cos(n/d θ) closes: π·d when n and d are both odd, 2π·d otherwise
+     */
+    static getCurvePeriod(ratio) {
+        return (ratio.n * ratio.d) % 2 === 1 ? Math.PI * ratio.d : 2 * Math.PI * ratio.d;
+    }
+}
+
+/**
+ * Rendering modes
+ */
+RoseVisualizer.MODES = ['petals', 'curve'];
+
+/**
+ * Petal rings from the center out: frequency range (Hz), petal count, petal length and hue offset from the base color
+ */
+RoseVisualizer.DEFAULT_RINGS = [
+    { name: 'Bass', minHz: 30, maxHz: 250, petals: 8, length: 1, hue: 0 },
+    { name: 'Mid', minHz: 250, maxHz: 4000, petals: 12, length: 1, hue: 40 },
+    { name: 'Treble', minHz: 4000, maxHz: 16000, petals: 16, length: 0.8, hue: 80 }
+];
+
+/**
+ * Sources of the curve's k
+ */
+RoseVisualizer.K_SOURCES = ['pitch', 'bands'];
+
+/**
+ * Just intonation ratios [n, d] of the twelve semitones above the reference
+ */
+RoseVisualizer.JUST_RATIOS = [
+    [1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3],
+    [7, 5], [3, 2], [8, 5], [5, 3], [7, 4], [15, 8]
+];
+
+VisualizerRegistry.register({
+    id: 'rose',
+    label: 'Rose',
+    icon: '🌹',
+    name: 'Rose Visualizer',
+    shortcut: 'Digit1',
+    container: 'canvas',
+    visualizerClass: RoseVisualizer,
+    createControls: (visualizer) => new RoseControls(visualizer)
+});
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * Spectrogram Visualizer
+ * Scrolling waterfall of the spectrum on a log-frequency axis. New columns are
+ * drawn at the right edge of an offscreen history image that is shifted left,
+ * so history is never redrawn. Hovering shows frequency, level and age.
+ */
+class SpectrogramVisualizer extends BaseVisualizer {
+    constructor(options = {}) {
+        super('spectrogramCanvas', options);
+        
+        this.canvas = this.container;
+        this.ctx = this.canvas.getContext('2d');
+        
+        this.colormap = 'magma';
+        this.timeSpan = 10; // Seconds across the plot
+        this.minHz = 20;
+        this.maxHz = 20000;
+        this.axisWidth = 48; // Hz labels on the left
+        this.axisHeight = 20; // Time labels at the bottom
+        
+        // Offscreen history image and the byte levels behind it (column-major, for the hover readout)
+        this.history = document.createElement('canvas');
+        this.historyCtx = this.history.getContext('2d');
+        this.levels = null;
+        this.column = null; // 1-pixel-wide ImageData for new columns
+        this.rowBins = null; // Per-row [firstBin, lastBin], rebuilt when the layout changes
+        this.layoutKey = null;
+        this.scrollRemainder = 0; // Sub-pixel scroll carried to the next frame
+        this.lastTime = null;
+        this.lut = SpectrogramVisualizer.createColormap(this.colormap);
+        
+        // Cursor position in canvas pixels, null when outside
+        this.cursor = null;
+        this.canvas.addEventListener('mousemove', (event) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.cursor = {
+                x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+                y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+            };
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.cursor = null;
+        });
+        
+        // Fine frequency resolution and little smoothing so transients stay sharp
+        this.setDefaultAnalysisSettings({ fftSize: 8192, smoothingTimeConstant: 0.2, minDecibels: -110, maxDecibels: -20 });
+        
+        // Initialize canvas size
+        this.resize();
+        
+        // Add resize listener
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
+    }
+
+    /**
+     * Resize canvas to fit container; the history restarts at the new size
+     */
+    resize() {
+        const rect = this.fixedSize || this.container.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+        
+        this.history.width = Math.max(1, Math.floor(this.canvas.width - this.axisWidth));
+        this.history.height = Math.max(1, Math.floor(this.canvas.height - this.axisHeight));
+        this.historyCtx.fillStyle = '#000000';
+        this.historyCtx.fillRect(0, 0, this.history.width, this.history.height);
+        
+        this.levels = new Uint8Array(this.history.width * this.history.height);
+        this.column = this.historyCtx.createImageData(1, this.history.height);
+        this.layoutKey = null;
+    }
+
+    /**
+     * Select a colormap ('magma', 'viridis' or 'matrix')
+     */
+    setColormap(name) {
+        if (!SpectrogramVisualizer.COLORMAPS[name]) return;
+        this.colormap = name;
+        this.lut = SpectrogramVisualizer.createColormap(name);
+    }
+
+    /**
+     * Seconds of history across the plot
+     */
+    setTimeSpan(seconds) {
+        this.timeSpan = Math.max(1, seconds);
+    }
+
+    /**
+     * Level range (dB) mapped onto the colormap; this is the analyser's dB range
+     */
+    setDecibelRange(minDecibels, maxDecibels) {
+        this.setAnalysisSettings({ minDecibels, maxDecibels });
+    }
+
+    /**
+     * Copy colormap and time span (the dB range is part of the analysis settings)
+     */
+    copySettingsFrom(template) {
+        this.setColormap(template.colormap);
+        this.setTimeSpan(template.timeSpan);
+    }
+
+    /**
+     * Main render function
+     */
+    render() {
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        if (this.frame) {
+            this.scroll();
+        }
+        
+        this.ctx.drawImage(this.history, this.axisWidth, 0);
+        this.drawFrequencyAxis();
+        this.drawTimeAxis();
+        this.drawReadout();
+    }
+
+    /**
+     * Shift the history left by the time since the last frame and draw the new columns
+     */
+    scroll() {
+        const time = this.frame.time;
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        
+        const width = this.history.width;
+        const height = this.history.height;
+        this.scrollRemainder += elapsed * width / this.timeSpan;
+        const shift = Math.min(width, Math.floor(this.scrollRemainder));
+        if (shift < 1) return;
+        this.scrollRemainder -= shift;
+        
+        this.historyCtx.save();
+        this.historyCtx.globalCompositeOperation = 'copy';
+        this.historyCtx.drawImage(this.history, -shift, 0);
+        this.historyCtx.restore();
+        this.levels.copyWithin(0, shift * height);
+        
+        // Analysis-grade levels: ignore automatic level normalization
+        const frequencyData = (this.frame.raw || this.frame).frequencyData;
+        this.updateRowBins(frequencyData.length);
+        
+        const pixels = this.column.data;
+        const newest = (width - 1) * height;
+        for (let y = 0; y < height; y++) {
+            const [first, last] = this.rowBins[y];
+            let value = frequencyData[first];
+            for (let bin = first + 1; bin <= last; bin++) {
+                value = Math.max(value, frequencyData[bin]);
+            }
+            
+            this.levels[newest + y] = value;
+            pixels[y * 4] = this.lut[value * 3];
+            pixels[y * 4 + 1] = this.lut[value * 3 + 1];
+            pixels[y * 4 + 2] = this.lut[value * 3 + 2];
+            pixels[y * 4 + 3] = 255;
+        }
+        
+        // Frames further apart than one pixel repeat the newest column
+        for (let x = width - shift; x < width; x++) {
+            this.historyCtx.putImageData(this.column, x, 0);
+            if (x < width - 1) {
+                this.levels.copyWithin(x * height, newest, newest + height);
+            }
+        }
+    }
+
+    /**
+     * Map every pixel row to the FFT bins it covers (top row = highest frequency)
+     */
+    updateRowBins(binCount) {
+        const height = this.history.height;
+        const sampleRate = this.frame.sampleRate;
+        const key = `${binCount}:${sampleRate}:${height}`;
+        if (key === this.layoutKey) return;
+        
+        const binHz = (sampleRate / 2) / binCount;
+        this.rowBins = [];
+        for (let y = 0; y < height; y++) {
+            const top = this.rowToFrequency(y);
+            const bottom = this.rowToFrequency(y + 1);
+            const first = Math.min(binCount - 1, Math.round(bottom / binHz));
+            const last = Math.min(binCount - 1, Math.max(first, Math.round(top / binHz)));
+            this.rowBins.push([first, last]);
+        }
+        this.layoutKey = key;
+    }
+
+    /**
+     * Highest frequency shown (Hz)
+     */
+    getMaxFrequency() {
+        const sampleRate = this.frame ? this.frame.sampleRate : 44100;
+        return Math.min(this.maxHz, sampleRate / 2);
+    }
+
+    /**
+     * Frequency (Hz) at the top edge of a history row
+     */
+    rowToFrequency(y) {
+        const ratio = 1 - y / this.history.height;
+        return this.minHz * Math.pow(this.getMaxFrequency() / this.minHz, ratio);
+    }
+
+    /**
+     * History row of a frequency
+     */
+    frequencyToRow(hz) {
+        const ratio = Math.log(hz / this.minHz) / Math.log(this.getMaxFrequency() / this.minHz);
+        return (1 - ratio) * this.history.height;
+    }
+
+    /**
+     * Hz labels and tick marks on the left
+     */
+    drawFrequencyAxis() {
+        this.ctx.font = '11px "Source Code Pro", monospace';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(0, 255, 65, 0.8)';
+        this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.25)';
+        this.ctx.lineWidth = 1;
+        
+        SpectrogramVisualizer.FREQUENCY_TICKS.forEach(hz => {
+            if (hz < this.minHz || hz > this.getMaxFrequency()) return;
+            
+            const y = Math.round(this.frequencyToRow(hz)) + 0.5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.axisWidth - 4, y);
+            this.ctx.lineTo(this.canvas.width, y);
+            this.ctx.stroke();
+            this.ctx.fillText(SpectrogramVisualizer.formatFrequency(hz), this.axisWidth - 6, y);
+        });
+    }
+
+    /**
+     * Seconds-ago labels along the bottom
+     */
+    drawTimeAxis() {
+        const width = this.history.width;
+        const y = this.history.height + this.axisHeight / 2;
+        const step = this.timeSpan <= 5 ? 1 : this.timeSpan <= 20 ? 5 : 10;
+        
+        this.ctx.font = '11px "Source Code Pro", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(0, 255, 65, 0.8)';
+        
+        for (let seconds = 0; seconds <= this.timeSpan; seconds += step) {
+            const x = this.axisWidth + width - (seconds / this.timeSpan) * width;
+            this.ctx.fillText(seconds === 0 ? 'now' : `-${seconds}s`, Math.max(this.axisWidth + 12, Math.min(this.canvas.width - 14, x)), y);
+        }
+    }
+
+    /**
+     * Crosshair with frequency, level and age under the cursor
+     */
+    drawReadout() {
+        if (!this.cursor) return;
+        
+        const x = Math.floor(this.cursor.x - this.axisWidth);
+        const y = Math.floor(this.cursor.y);
+        if (x < 0 || x >= this.history.width || y < 0 || y >= this.history.height) return;
+        
+        const settings = this.analysisSettings;
+        const level = this.levels[x * this.history.height + y];
+        const decibels = settings.minDecibels + (level / 255) * (settings.maxDecibels - settings.minDecibels);
+        const hz = this.rowToFrequency(y + 0.5);
+        const age = (this.history.width - 1 - x) / this.history.width * this.timeSpan;
+        const label = `${SpectrogramVisualizer.formatFrequency(hz, 2)} · ${level === 0 ? `< ${settings.minDecibels}` : decibels.toFixed(1)} dB · -${age.toFixed(1)}s`;
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.axisWidth, y + 0.5);
+        this.ctx.lineTo(this.canvas.width, y + 0.5);
+        this.ctx.moveTo(this.axisWidth + x + 0.5, 0);
+        this.ctx.lineTo(this.axisWidth + x + 0.5, this.history.height);
+        this.ctx.stroke();
+        
+        // Keep the label inside the plot
+        this.ctx.font = '12px "Source Code Pro", monospace';
+        const textWidth = this.ctx.measureText(label).width;
+        const labelX = Math.min(this.axisWidth + x + 8, this.canvas.width - textWidth - 8);
+        const labelY = y > 24 ? y - 8 : y + 18;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'alphabetic';
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(labelX - 4, labelY - 13, textWidth + 8, 18);
+        this.ctx.fillStyle = '#00ff41';
+        this.ctx.fillText(label, labelX, labelY);
+    }
+
+    /**
+     * "440 Hz", "1.2 kHz"
+     */
+    static formatFrequency(hz, digits = 0) {
+        if (hz < 1000) return `${Math.round(hz)} Hz`;
+        
+        const khz = hz / 1000;
+        return `${digits === 0 && Number.isInteger(khz) ? khz : khz.toFixed(Math.max(1, digits))} kHz`;
+    }
+
+    /**
+     * 256-entry RGB lookup table interpolated from a colormap's stops
+     */
+    static createColormap(name) {
+        const stops = SpectrogramVisualizer.COLORMAPS[name].stops;
+        const lut = new Uint8Array(256 * 3);
+        
+        for (let i = 0; i < 256; i++) {
+            const position = (i / 255) * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const fraction = position - index;
+            for (let channel = 0; channel < 3; channel++) {
+                lut[i * 3 + channel] = Math.round(stops[index][channel] * (1 - fraction) + stops[index + 1][channel] * fraction);
+            }
+        }
+        
+        return lut;
+    }
+}
+
+/**
+ * Colormaps: evenly spaced RGB stops from quiet to loud
+ */
+SpectrogramVisualizer.COLORMAPS = {
+    magma: {
+        label: 'Magma',
+        stops: [[0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122], [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]]
+    },
+    viridis: {
+        label: 'Viridis',
+        stops: [[68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142], [38, 130, 142], [31, 158, 137], [53, 183, 121], [109, 205, 89], [180, 222, 44], [253, 231, 37]]
+    },
+    matrix: {
+        label: 'Matrix',
+        stops: [[0, 0, 0], [0, 40, 10], [0, 110, 30], [0, 200, 60], [0, 255, 65], [180, 255, 190]]
+    }
+};
+
+/**
+ * Frequency axis labels (Hz)
+ */
+SpectrogramVisualizer.FREQUENCY_TICKS = [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+
+VisualizerRegistry.register({
+    id: 'spectrogram',
+    label: 'Spectrogram',
+    icon: '🌊',
+    name: 'Spectrogram',
+    shortcut: 'Digit5',
+    container: 'canvas',
+    visualizerClass: SpectrogramVisualizer,
+    createControls: (visualizer) => new SpectrogramControls(visualizer)
+});
\ No newline at end of file
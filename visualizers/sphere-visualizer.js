@@ -3,8 +3,8 @@
  * Creates a 3D wireframe sphere that responds to audio input using Three.js
  */
 class SphereVisualizer extends BaseVisualizer {
-    constructor() {
-        super('sphereContainer');
+    constructor(options = {}) {
+        super('sphereContainer', options);
         
         this.scene = null;
         this.camera = null;
@@ -19,6 +19,15 @@ class SphereVisualizer extends BaseVisualizer {
         this.baseGeometry = null;
         this.originalVertices = [];
         
+        // Fast, punchy response for vertex displacement
+        this.setDefaultAnalysisSettings({ fftSize: 1024, smoothingTimeConstant: 0.6, maxDecibels: -25 });
+        
+        // Beat-driven pulse (decays every frame)
+        this.beatPulse = 0;
+        this.on('beat', (event) => {
+            this.beatPulse = Math.max(this.beatPulse, 0.5 + event.strength * 0.5);
+        });
+        
         // Check if Three.js is available
         if (typeof THREE === 'undefined') {
             this.fallbackMode = true;
@@ -48,7 +57,9 @@ class SphereVisualizer extends BaseVisualizer {
         });
         
         // Add resize listener
-        window.addEventListener('resize', () => this.resize());
+        if (!this.fixedSize) {
+            window.addEventListener('resize', () => this.resize());
+        }
         this.resize();
     }
 
@@ -68,8 +79,12 @@ class SphereVisualizer extends BaseVisualizer {
         );
         this.camera.position.z = 5;
         
-        // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+        // Create renderer (offline renders read the canvas back after every frame)
+        this.renderer = new THREE.WebGLRenderer({
+            alpha: true,
+            antialias: true,
+            preserveDrawingBuffer: Boolean(this.fixedSize)
+        });
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.renderer.setClearColor(0x000000, 0);
         this.container.appendChild(this.renderer.domElement);
@@ -103,9 +118,9 @@ class SphereVisualizer extends BaseVisualizer {
         const positions = new Float32Array(particleCount * 3);
         
         for (let i = 0; i < particleCount * 3; i += 3) {
-            positions[i] = (Math.random() - 0.5) * 10;
-            positions[i + 1] = (Math.random() - 0.5) * 10;
-            positions[i + 2] = (Math.random() - 0.5) * 10;
+            positions[i] = (this.random() - 0.5) * 10;
+            positions[i + 1] = (this.random() - 0.5) * 10;
+            positions[i + 2] = (this.random() - 0.5) * 10;
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -162,8 +177,10 @@ class SphereVisualizer extends BaseVisualizer {
      * Resize handler
      */
     resize() {
-        const width = this.container.clientWidth;
-        const height = this.container.clientHeight;
+        const { width, height } = this.fixedSize || {
+            width: this.container.clientWidth,
+            height: this.container.clientHeight
+        };
         
         if (this.fallbackMode) {
             this.canvas.width = width;
@@ -178,11 +195,12 @@ class SphereVisualizer extends BaseVisualizer {
     /**
      * Update sphere geometry based on audio
      */
-    updateSphereGeometry(volume, frequencyData) {
+    updateSphereGeometry(volume, bands, balance = 0) {
         if (this.fallbackMode || !this.sphere) return;
         
         const vertices = this.sphere.geometry.attributes.position.array;
         const adjustedVolume = volume * (this.sensitivity / 100);
+        const lastBand = bands.length - 1;
         
         for (let i = 0; i < vertices.length; i += 3) {
             const originalX = this.originalVertices[i];
@@ -192,10 +210,17 @@ class SphereVisualizer extends BaseVisualizer {
             // Calculate distance from center
             const distance = Math.sqrt(originalX * originalX + originalY * originalY + originalZ * originalZ);
             
-            // Apply audio-based displacement
-            const frequencyIndex = Math.floor((i / 3) % frequencyData.length);
-            const frequencyValue = frequencyData[frequencyIndex] / 255;
-            const displacement = 1 + (adjustedVolume * 0.5) + (frequencyValue * 0.3);
+            // Apply audio-based displacement: bass at the south pole, treble at the north pole
+            const latitude = Math.acos(Math.max(-1, Math.min(1, originalY / (distance || 1)))) / Math.PI;
+            const bandPosition = (1 - latitude) * lastBand;
+            const lowerBand = Math.floor(bandPosition);
+            const upperBand = Math.min(lastBand, lowerBand + 1);
+            const fraction = bandPosition - lowerBand;
+            const frequencyValue = bands[lowerBand] * (1 - fraction) + bands[upperBand] * fraction;
+            
+            // Pan bias: the side of the louder channel bulges further out
+            const panBias = Math.max(0, 1 + balance * (originalX / (distance || 1)) * 2);
+            const displacement = 1 + (adjustedVolume * 0.5 + frequencyValue * 0.3) * panBias;
             
             vertices[i] = originalX * displacement;
             vertices[i + 1] = originalY * displacement;
@@ -229,16 +254,16 @@ class SphereVisualizer extends BaseVisualizer {
      */
     renderThreeJS() {
         const volume = this.getAverageFrequency();
-        const dominantFreq = this.getDominantFrequency();
+        const balance = this.getBalance();
         
         // Update sphere
         if (this.sphere) {
             // Scale based on volume
-            const scale = 1 + volume * (this.sensitivity / 100);
+            const scale = 1 + volume * (this.sensitivity / 100) + this.beatPulse * 0.3;
             this.sphere.scale.setScalar(scale);
             
             // Change color based on frequency
-            const hue = dominantFreq * 360;
+            const hue = this.getColorHue();
             this.sphere.material.color.setHSL(hue / 360, 0.8, 0.6);
             
             // Rotation based on mouse and audio
@@ -246,8 +271,11 @@ class SphereVisualizer extends BaseVisualizer {
             this.sphere.rotation.y += (this.mouseX * 0.1 - this.sphere.rotation.y) * 0.05;
             this.sphere.rotation.z += volume * 0.02;
             
+            // Drift towards the louder channel
+            this.sphere.position.x += (balance * 1.5 - this.sphere.position.x) * 0.1;
+            
             // Update geometry
-            this.updateSphereGeometry(volume, this.frequencyData);
+            this.updateSphereGeometry(volume, this.getLogBands(32), balance);
         }
         
         // Update camera FOV for chaos effect
@@ -268,7 +296,7 @@ class SphereVisualizer extends BaseVisualizer {
     renderFallback() {
         const width = this.canvas.width;
         const height = this.canvas.height;
-        const centerX = width / 2;
+        const centerX = width / 2 * (1 + this.getBalance() * 0.3);
         const centerY = height / 2;
         
         // Clear canvas
@@ -282,7 +310,7 @@ class SphereVisualizer extends BaseVisualizer {
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 1;
         
-        const radius = this.sphereRadius * (1 + volume * (this.sensitivity / 100));
+        const radius = this.sphereRadius * (1 + volume * (this.sensitivity / 100) + this.beatPulse * 0.3);
         
         // Draw longitude lines
         for (let i = 0; i < 12; i++) {
@@ -321,11 +349,20 @@ class SphereVisualizer extends BaseVisualizer {
         this.ctx.fill();
     }
 
+    /**
+     * Stereo balance (-1 left to 1 right) when stereo mode is on, otherwise 0
+     */
+    getBalance() {
+        const stereo = this.stereoMode ? this.getStereo() : null;
+        return stereo ? stereo.balance : 0;
+    }
+
     /**
      * Main render method
      */
     render() {
         this.time += 1;
+        this.beatPulse *= 0.88;
         
         if (this.fallbackMode) {
             this.renderFallback();
@@ -334,6 +371,13 @@ class SphereVisualizer extends BaseVisualizer {
         }
     }
 
+    /**
+     * Canvas the visualizer draws into
+     */
+    getCanvas() {
+        return this.fallbackMode ? this.canvas : this.renderer.domElement;
+    }
+
     /**
      * Stop the visualizer
      */
@@ -360,4 +404,14 @@ class SphereVisualizer extends BaseVisualizer {
             }
         }
     }
-}
\ No newline at end of file
+}
+
+VisualizerRegistry.register({
+    id: 'sphere',
+    label: 'Sphere',
+    icon: '🌐',
+    name: '3D Sphere Visualizer',
+    shortcut: 'Digit2',
+    container: 'div',
+    visualizerClass: SphereVisualizer
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Visualizer Registry
+ * Visualizers register themselves with an id, label, icon, keyboard shortcut
+ * and container type; the app builds the tool buttons, shortcuts, containers
+ * and export options from the registry. Third-party visualizer scripts can be
+ * loaded at runtime from a URL or a local file and register the same way.
+ */
+class VisualizerRegistry {
+    /**
+     * Register a visualizer and return the stored definition
+     * {
+     *   id: 'rose',                  // Key, also used for the container id and CSS class
+     *   label: 'Rose',               // Tool button text
+     *   icon: '🌹',
+     *   name: 'Rose Visualizer',     // Status and panel title (defaults to label)
+     *   shortcut: 'Digit1',          // KeyboardEvent.code; omit for the next free number key, null for none
+     *   container: 'canvas',         // 'canvas' or 'div' (e.g. for a WebGL renderer)
+     *   title: '',                   // Container tooltip
+     *   visualizerClass: RoseVisualizer, // BaseVisualizer subclass, constructed with { container }
+     *   createControls: (visualizer) => controls // Optional toolbar with setVisible() and update()
+     * }
+     */
+    static register(definition) {
+        const entry = VisualizerRegistry.normalizeDefinition(definition);
+        
+        if (VisualizerRegistry.definitions.has(entry.id)) {
+            throw new Error(`Visualizer "${entry.id}" is already registered`);
+        }
+        
+        if (entry.shortcut && !VisualizerRegistry.isShortcutFree(entry.shortcut)) {
+            console.warn(`Shortcut ${entry.shortcut} of "${entry.id}" is taken, assigning another`);
+            entry.shortcut = undefined;
+        }
+        if (entry.shortcut === undefined) {
+            entry.shortcut = VisualizerRegistry.getFreeShortcut();
+        }
+        
+        VisualizerRegistry.definitions.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Remove a definition (e.g. a plugin whose visualizer failed to start)
+     */
+    static unregister(id) {
+        return VisualizerRegistry.definitions.delete(id);
+    }
+
+    /**
+     * Validate a definition and fill in defaults
+     */
+    static normalizeDefinition(definition) {
+        const { id, label, visualizerClass } = definition || {};
+        
+        if (typeof id !== 'string' || !/^[a-zA-Z][\w-]*$/.test(id)) {
+            throw new Error(`Invalid visualizer id: ${id}`);
+        }
+        if (typeof visualizerClass !== 'function' || !(visualizerClass.prototype instanceof BaseVisualizer)) {
+            throw new Error(`Visualizer "${id}" must provide a BaseVisualizer subclass`);
+        }
+        
+        const container = definition.container || 'canvas';
+        if (!['canvas', 'div'].includes(container)) {
+            throw new Error(`Visualizer "${id}" has an unknown container type: ${container}`);
+        }
+        
+        return {
+            id,
+            label: label || id,
+            icon: definition.icon || '',
+            name: definition.name || label || id,
+            shortcut: definition.shortcut,
+            container,
+            title: definition.title || '',
+            visualizerClass,
+            createControls: definition.createControls || null,
+            source: VisualizerRegistry.loadingSource || 'built-in'
+        };
+    }
+
+    /**
+     * Definition by id
+     */
+    static get(id) {
+        return VisualizerRegistry.definitions.get(id) || null;
+    }
+
+    /**
+     * All definitions in registration order
+     */
+    static getAll() {
+        return Array.from(VisualizerRegistry.definitions.values());
+    }
+
+    /**
+     * Definition bound to a KeyboardEvent.code
+     */
+    static findByShortcut(code) {
+        return VisualizerRegistry.getAll().find(definition => definition.shortcut === code) || null;
+    }
+
+    /**
+     * Whether a key is neither used by the app nor by another visualizer
+     */
+    static isShortcutFree(code) {
+        return !VisualizerRegistry.RESERVED_SHORTCUTS.includes(code) && !VisualizerRegistry.findByShortcut(code);
+    }
+
+    /**
+     * First unused number key, or null when 1-9 are all taken
+     */
+    static getFreeShortcut() {
+        for (let digit = 1; digit <= 9; digit++) {
+            if (VisualizerRegistry.isShortcutFree(`Digit${digit}`)) return `Digit${digit}`;
+        }
+        return null;
+    }
+
+    /**
+     * Display text for a KeyboardEvent.code ('Digit1' -> '1', 'KeyV' -> 'V')
+     */
+    static getShortcutLabel(code) {
+        return code ? code.replace(/^(Digit|Key)/, '') : '';
+    }
+
+    /**
+     * Create the canvas or div a visualizer draws into
+     */
+    static createContainer(definition) {
+        const element = document.createElement(definition.container);
+        element.id = `${definition.id}${definition.container === 'canvas' ? 'Canvas' : 'Container'}`;
+        element.className = `visualizer ${definition.id}-visualizer`;
+        
+        if (definition.container === 'canvas') {
+            element.width = 800;
+            element.height = 600;
+        }
+        if (definition.title) {
+            element.title = definition.title;
+        }
+        
+        return element;
+    }
+
+    /**
+     * Load a third-party visualizer script from a URL or a File and return the definitions it registered
+     * The script runs with full page access, so only load code you trust
+     */
+    static load(source) {
+        if (VisualizerRegistry.loadingSource) {
+            return Promise.reject(new Error(`Still loading ${VisualizerRegistry.loadingSource}`));
+        }
+        
+        const isFile = typeof source !== 'string';
+        const url = isFile ? URL.createObjectURL(source) : new URL(source, document.baseURI).href;
+        const sourceName = isFile ? source.name : url;
+        const before = new Set(VisualizerRegistry.definitions.keys());
+        VisualizerRegistry.loadingSource = sourceName;
+        
+        return new Promise((resolve, reject) => {
+            let scriptError = null;
+            
+            // Errors thrown while the script runs (e.g. a duplicate id) only surface as window errors
+            const onError = (event) => {
+                if (event.filename === url) {
+                    scriptError = event.error || new Error(event.message);
+                }
+            };
+            
+            const finish = () => {
+                window.removeEventListener('error', onError);
+                VisualizerRegistry.loadingSource = null;
+                if (isFile) {
+                    URL.revokeObjectURL(url);
+                }
+                return VisualizerRegistry.getAll().filter(definition => !before.has(definition.id));
+            };
+            
+            const script = document.createElement('script');
+            script.src = url;
+            
+            script.onload = () => {
+                const added = finish();
+                
+                if (scriptError) {
+                    // Drop anything the failed script registered before it threw
+                    added.forEach(definition => VisualizerRegistry.unregister(definition.id));
+                    reject(scriptError);
+                } else if (added.length === 0) {
+                    reject(new Error(`${sourceName} did not register a visualizer`));
+                } else {
+                    resolve(added);
+                }
+            };
+            
+            script.onerror = () => {
+                finish().forEach(definition => VisualizerRegistry.unregister(definition.id));
+                reject(new Error(`Could not load ${sourceName}`));
+            };
+            
+            window.addEventListener('error', onError);
+            document.head.appendChild(script);
+        });
+    }
+}
+
+/**
+ * Registered definitions by id, in registration order
+ */
+VisualizerRegistry.definitions = new Map();
+
+/**
+ * Source of the plugin script currently loading (null outside load())
+ */
+VisualizerRegistry.loadingSource = null;
+
+/**
+ * Keys the app handles itself (KeyboardEvent.code)
+ */
+VisualizerRegistry.RESERVED_SHORTCUTS = [
+    'Space', 'KeyK', 'KeyM', 'KeyL', 'KeyN', 'KeyP', 'KeyR', 'Escape',
+    'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'
+];
\ No newline at end of file
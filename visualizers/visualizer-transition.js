@@ -0,0 +1,226 @@
+/**
+ * Visualizer Transition
+ * Animated switch between two visualizers on an overlay canvas: crossfade,
+ * wipe, zoom blur or a cut on the next beat. While a transition runs it drives
+ * both visualizers itself, so they render from the same audio frame and the
+ * outgoing one keeps moving until it is gone.
+ */
+class VisualizerTransition {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = this.canvas.getContext('2d');
+        
+        this.type = 'crossfade';
+        this.duration = 0.5; // Seconds; for 'beatCut' the longest wait for a beat
+        
+        this.from = null;
+        this.to = null;
+        this.startTime = 0;
+        this.animationId = null;
+        
+        this.onFrame = null; // (canvas) => void, after each composited frame (recording)
+    }
+
+    /**
+     * Set the transition type (see VisualizerTransition.TYPES)
+     */
+    setType(type) {
+        if (!VisualizerTransition.TYPES.includes(type)) return;
+        this.type = type;
+    }
+
+    /**
+     * Set the duration in seconds (0.1-10)
+     */
+    setDuration(seconds) {
+        this.duration = Math.max(0.1, Math.min(10, seconds));
+    }
+
+    /**
+     * Whether a transition is in progress
+     */
+    isRunning() {
+        return this.to !== null;
+    }
+
+    /**
+     * Switch from one visualizer to another
+     * A transition already in progress jumps to its end first; 'cut' switches immediately
+     */
+    start(from, to) {
+        this.finish();
+        
+        if (!from || from === to || this.type === 'cut') {
+            if (from) {
+                from.stop();
+            }
+            to.start();
+            return;
+        }
+        
+        // Take over the outgoing render loop; the overlay covers both containers until the end
+        from.stop();
+        this.from = from;
+        this.to = to;
+        this.startTime = performance.now();
+        
+        this.resize();
+        this.canvas.classList.add('active');
+        this.animate(this.startTime);
+    }
+
+    /**
+     * Jump to the end: hide the overlay and hand rendering to the incoming visualizer
+     */
+    finish() {
+        if (!this.to) return;
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        const to = this.to;
+        this.from = null;
+        this.to = null;
+        this.canvas.classList.remove('active');
+        to.start();
+    }
+
+    /**
+     * Match the overlay to the visualizer area
+     */
+    resize() {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+    }
+
+    /**
+     * Render both visualizers for this timestamp and composite them
+     */
+    animate(timestamp) {
+        if (!this.to) return;
+        
+        const from = this.from;
+        const to = this.to;
+        const progress = Math.min(1, (timestamp - this.startTime) / 1000 / this.duration);
+        
+        from.updateAudioData(timestamp);
+        to.updateAudioData(timestamp);
+        from.render();
+        to.render();
+        
+        let done = progress >= 1;
+        if (this.type === 'beatCut') {
+            // Hold the outgoing visualizer until the next beat (or the duration runs out)
+            done = done || (from.frame && from.frame.events.some(event => event.type === 'beat'));
+            this.draw(from.getCanvas(), to.getCanvas(), done ? 1 : 0);
+        } else {
+            this.draw(from.getCanvas(), to.getCanvas(), VisualizerTransition.ease(progress));
+        }
+        
+        if (this.onFrame) {
+            this.onFrame(this.canvas);
+        }
+        
+        if (done) {
+            this.finish();
+            return;
+        }
+        
+        this.animationId = requestAnimationFrame((nextTimestamp) => this.animate(nextTimestamp));
+    }
+
+    /**
+     * Composite the outgoing and incoming canvases at progress 0-1
+     */
+    draw(fromCanvas, toCanvas, progress) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, width, height);
+        
+        if (this.type === 'wipe') {
+            const edge = width * progress;
+            this.ctx.drawImage(fromCanvas, 0, 0, width, height);
+            
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, edge, height);
+            this.ctx.clip();
+            this.ctx.fillRect(0, 0, edge, height);
+            this.ctx.drawImage(toCanvas, 0, 0, width, height);
+            this.ctx.restore();
+            
+            // Glowing wipe edge
+            this.ctx.save();
+            this.ctx.strokeStyle = '#00ff41';
+            this.ctx.lineWidth = 2;
+            this.ctx.shadowColor = '#00ff41';
+            this.ctx.shadowBlur = 12;
+            this.ctx.beginPath();
+            this.ctx.moveTo(edge, 0);
+            this.ctx.lineTo(edge, height);
+            this.ctx.stroke();
+            this.ctx.restore();
+        } else if (this.type === 'zoomBlur') {
+            // Zoom into the outgoing visualizer, then out of the incoming one
+            if (progress < 0.5) {
+                this.drawZoomBlur(fromCanvas, progress * 2);
+            } else {
+                this.drawZoomBlur(toCanvas, (1 - progress) * 2);
+            }
+        } else if (progress < 1) {
+            // Crossfade (and a beat cut still waiting for its beat)
+            this.ctx.drawImage(fromCanvas, 0, 0, width, height);
+            this.ctx.globalAlpha = progress;
+            this.ctx.drawImage(toCanvas, 0, 0, width, height);
+        } else {
+            this.ctx.drawImage(toCanvas, 0, 0, width, height);
+        }
+        
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Radial zoom blur: the average of several increasingly enlarged copies, dimmed as it grows
+     */
+    drawZoomBlur(source, strength) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const copies = VisualizerTransition.ZOOM_COPIES;
+        
+        for (let i = 0; i < copies; i++) {
+            const scale = 1 + strength * (0.3 + 0.5 * i / copies);
+            const scaledWidth = width * scale;
+            const scaledHeight = height * scale;
+            
+            // Alpha 1/(i+1) keeps a running average of all copies drawn so far
+            this.ctx.globalAlpha = 1 / (i + 1);
+            this.ctx.drawImage(source, (width - scaledWidth) / 2, (height - scaledHeight) / 2, scaledWidth, scaledHeight);
+        }
+        
+        this.ctx.globalAlpha = strength * 0.6;
+        this.ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Smoothstep easing
+     */
+    static ease(t) {
+        return t * t * (3 - 2 * t);
+    }
+}
+
+/**
+ * Transition types
+ */
+VisualizerTransition.TYPES = ['cut', 'crossfade', 'wipe', 'zoomBlur', 'beatCut'];
+
+/**
+ * Copies drawn for the zoom blur
+ */
+VisualizerTransition.ZOOM_COPIES = 8;
\ No newline at end of file